@@ -0,0 +1,1145 @@
+// Background service worker
+// Owns the location cache and the lookup queue for every open X tab, so a handle is
+// only looked up once and all tabs share one rate-limit budget.
+// The lookups themselves still run in a tab's page context (they need X's session
+// headers), so the worker hands each request to one of the tabs that asked for it.
+
+importScripts('locationStore.js', 'settings.js', 'pageScript.js');
+
+// Cache for user locations - persisted per entry in IndexedDB (see locationStore.js)
+const locationCache = new Map();
+// How long each lookup outcome is cached. Outcomes not listed here (timeouts,
+// rate limits, API errors) are never cached, so they're retried next time.
+const CACHE_TTL_DAYS = {
+  found: 30,      // Account has a "based in" location
+  no_location: 3, // Confirmed: X shows no location for this account (it may add one later)
+  not_found: 1    // No such account (deleted, suspended or renamed)
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Previous locations kept per account (oldest dropped first)
+const MAX_LOCATION_HISTORY = 10;
+// Accounts to notify about when their location changes (lowercase handles)
+const WATCHLIST_KEY = 'watched_accounts';
+let cacheLoadPromise = null;
+// Pre-IndexedDB cache: one chrome.storage.local key holding every entry, migrated on first load
+const LEGACY_CACHE_KEY = 'twitter_location_cache';
+
+// Cache size limits (0 = unlimited); least recently used entries are evicted first
+const CACHE_MAX_ENTRIES_KEY = 'cache_max_entries';
+const DEFAULT_CACHE_MAX_ENTRIES = 50000;
+let cacheMaxEntries = DEFAULT_CACHE_MAX_ENTRIES;
+const CACHE_MAX_SIZE_KEY = 'cache_max_size_mb';
+const DEFAULT_CACHE_MAX_SIZE_MB = 20;
+let cacheMaxSizeMb = DEFAULT_CACHE_MAX_SIZE_MB;
+
+// Rate limiting (shared by all tabs)
+const requestQueue = [];
+let isProcessingQueue = false;
+let lastRequestTime = 0;
+// Dynamic Rate Limiting
+const INITIAL_REQUEST_INTERVAL = 300; // Start fast (300ms)
+let currentRequestInterval = INITIAL_REQUEST_INTERVAL;
+const MAX_REQUEST_INTERVAL = 10000; // Max backoff to 10s
+const MAX_CONCURRENT_REQUESTS = 2;
+let activeRequests = 0;
+let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
+// Survives the worker being suspended between lookups
+const RATE_LIMIT_KEY = 'rate_limit_reset';
+// Rate-limit budgets from X's x-rate-limit-* headers, by kind of request ('lookup' or 'batch'):
+// { limit, remaining, resetTime (Unix seconds) }. Kept in session storage for the popup.
+const RATE_LIMIT_BUDGET_KEY = 'rate_limit_budget';
+let rateLimitBudgets = {};
+// Longest wait between requests when spreading the budget (it's re-checked after every response)
+const MAX_BUDGET_INTERVAL = 60000;
+
+// Lookups queued or in flight, by screen name (see getLocationEntry)
+const pendingLookups = new Map();
+// Queued lookups that stayed off-screen in every tab this long are cancelled
+const STALE_LOOKUP_MS = 30000;
+// What a cancelled lookup resolves with
+const LOOKUP_CANCELLED = { cancelled: true };
+// Queued lookups are sent in batches of up to this many accounts (one multi-user request,
+// see pageScript.js); accounts a batch can't answer fall back to single lookups
+const MAX_BATCH_SIZE = 20;
+// After a tab reports that batch lookups don't work, use single lookups for this long
+const BATCH_RETRY_MS = 30 * 60 * 1000;
+let batchingPausedUntil = 0;
+// Tabs whose page script saw X's own batch responses carry location data; batching is
+// only used while there's one
+const batchSupportTabs = new Set();
+
+const TWITTER_TAB_URLS = ['https://x.com/*', 'https://twitter.com/*'];
+
+// Last AboutAccountQuery query ID that answered a lookup; handed to page scripts, which
+// use it until they learn the current one from X (see pageScript.js)
+const QUERY_ID_KEY = 'about_account_query_id';
+let knownGoodQueryId = null;
+// Set while lookups keep failing (e.g. X changed the query ID and it couldn't be
+// rediscovered): { since, error, queryId }. Shown in the popup.
+const ENDPOINT_STATUS_KEY = 'lookup_endpoint_status';
+const ENDPOINT_FAILURE_THRESHOLD = 5;
+let consecutiveEndpointFailures = 0;
+let endpointBroken = false;
+
+// Load cache from persistent storage (once per worker lifetime)
+function ensureCacheLoaded() {
+  if (!cacheLoadPromise) {
+    cacheLoadPromise = loadCache();
+  }
+  return cacheLoadPromise;
+}
+
+async function loadCache() {
+  try {
+    const [settings, session] = await Promise.all([
+      chrome.storage.local.get([CACHE_MAX_ENTRIES_KEY, CACHE_MAX_SIZE_KEY, QUERY_ID_KEY, ENDPOINT_STATUS_KEY]),
+      chrome.storage.session.get([RATE_LIMIT_KEY, RATE_LIMIT_BUDGET_KEY])
+    ]);
+    cacheMaxEntries = settings[CACHE_MAX_ENTRIES_KEY] ?? DEFAULT_CACHE_MAX_ENTRIES;
+    cacheMaxSizeMb = settings[CACHE_MAX_SIZE_KEY] ?? DEFAULT_CACHE_MAX_SIZE_MB;
+    rateLimitResetTime = session[RATE_LIMIT_KEY] || 0;
+    rateLimitBudgets = session[RATE_LIMIT_BUDGET_KEY] || {};
+    knownGoodQueryId = settings[QUERY_ID_KEY] || null;
+    endpointBroken = Boolean(settings[ENDPOINT_STATUS_KEY]);
+
+    await migrateLegacyCache();
+
+    // Filter out expired entries. Expired locations are kept (as stale entries) until the
+    // account is looked up again, so a change of location can still be detected.
+    const now = Date.now();
+    const expired = [];
+    for (const { screenName, ...entry } of await getAllLocationRecords()) {
+      // Entries saved before outcomes were tracked only ever had a location
+      entry.status = entry.status || 'found';
+      if (entry.expiry > now || entry.status === 'found') {
+        locationCache.set(screenName, entry);
+      } else {
+        expired.push(screenName);
+      }
+    }
+    await deleteLocationRecords(expired);
+    console.log(`Loaded ${locationCache.size} cached locations (${expired.length} expired)`);
+
+    await enforceCacheLimits();
+  } catch (error) {
+    console.error('Error loading cache:', error);
+  }
+}
+
+// One-time move of the old chrome.storage.local blob into IndexedDB
+async function migrateLegacyCache() {
+  const result = await chrome.storage.local.get(LEGACY_CACHE_KEY);
+  const cached = result[LEGACY_CACHE_KEY];
+  if (!cached) return;
+
+  const now = Date.now();
+  const records = [];
+  for (const [username, data] of Object.entries(cached)) {
+    // Handle legacy format where cache might store string or incomplete object
+    if (typeof data === 'string') {
+      // Legacy string format - upgrade it
+      records.push({
+        screenName: username,
+        status: 'found',
+        location: data,
+        about: null,
+        expiry: now + CACHE_TTL_DAYS.found * DAY_MS,
+        cachedAt: now,
+        lastAccessed: now
+      });
+    } else if (data && data.expiry && data.expiry > now && data.location) {
+      records.push({
+        about: null,
+        ...data,
+        status: 'found',
+        screenName: username,
+        lastAccessed: data.cachedAt || now
+      });
+    }
+  }
+
+  await putLocationRecords(records);
+  await chrome.storage.local.remove(LEGACY_CACHE_KEY);
+  console.log(`Migrated ${records.length} cached locations to IndexedDB`);
+}
+
+// Persist one entry
+function persistCacheEntry(username, entry) {
+  putLocationRecords([{ screenName: username, ...entry }])
+    .catch(error => console.error(`Error saving cache entry for ${username}:`, error));
+  scheduleCacheLimitCheck();
+}
+
+// Location history after a new lookup result: [{ location, until }], oldest first.
+// Adds the previous location when it differs ("not found" results don't count as a change).
+function getUpdatedHistory(previous, status, location, now) {
+  const history = previous?.history || [];
+  if (!previous || previous.status === 'not_found' || status === 'not_found' || previous.location === location) {
+    return history;
+  }
+  return [...history, { location: previous.location, until: now }].slice(-MAX_LOCATION_HISTORY);
+}
+
+// Save a single entry to cache, expiring after its outcome's TTL
+// (status: a CACHE_TTL_DAYS key; about: extra "About this account" fields, see pageScript.js;
+// harvested: taken from X's own responses rather than looked up)
+function saveCacheEntry(username, status, location, about = null, harvested = false) {
+  const now = Date.now();
+  const previous = locationCache.get(username);
+  const entry = {
+    status: status,
+    location: location,
+    about: about,
+    history: getUpdatedHistory(previous, status, location, now),
+    expiry: now + CACHE_TTL_DAYS[status] * DAY_MS,
+    cachedAt: now,
+    lastAccessed: now
+  };
+  if (harvested) {
+    entry.harvested = true;
+  }
+
+  if (entry.history.length > (previous?.history || []).length) {
+    console.log(`Location of ${username} changed: ${previous.location} -> ${location}`);
+    notifyIfWatched(username, previous.location, location);
+  }
+
+  locationCache.set(username, entry);
+  persistCacheEntry(username, entry);
+  return entry;
+}
+
+// Tell every tab when a watched account's location changes
+async function notifyIfWatched(screenName, previousLocation, location) {
+  const result = await chrome.storage.local.get(WATCHLIST_KEY);
+  const watched = result[WATCHLIST_KEY] || [];
+  if (watched.includes(screenName.toLowerCase())) {
+    broadcastToTabs({ type: 'watchedLocationChanged', screenName, previousLocation, location });
+  }
+}
+
+// Mark entries as recently used (tabs report the cached accounts they displayed)
+async function touchCacheEntries(screenNames) {
+  await ensureCacheLoaded();
+  const now = Date.now();
+  const records = [];
+  for (const screenName of screenNames) {
+    const entry = locationCache.get(screenName);
+    if (entry) {
+      entry.lastAccessed = now;
+      records.push({ screenName, ...entry });
+    }
+  }
+  await putLocationRecords(records);
+}
+
+// Cached entries with their approximate stored size
+function getStoredEntries() {
+  return Array.from(locationCache.entries(), ([screenName, entry]) => ({
+    screenName,
+    entry,
+    size: getRecordSize({ screenName, ...entry })
+  }));
+}
+
+// Check the size limits shortly after a burst of writes
+function scheduleCacheLimitCheck() {
+  if (!scheduleCacheLimitCheck.timeout) {
+    scheduleCacheLimitCheck.timeout = setTimeout(() => {
+      scheduleCacheLimitCheck.timeout = null;
+      enforceCacheLimits().catch(error => console.error('Error evicting cache entries:', error));
+    }, 5000);
+  }
+}
+
+// Evict least recently used entries until the cache fits the configured limits
+async function enforceCacheLimits() {
+  const maxBytes = cacheMaxSizeMb * 1024 * 1024;
+  const stored = getStoredEntries();
+  let count = stored.length;
+  let bytes = stored.reduce((sum, record) => sum + record.size, 0);
+  const withinLimits = () => (!cacheMaxEntries || count <= cacheMaxEntries) && (!maxBytes || bytes <= maxBytes);
+  if (withinLimits()) return;
+
+  stored.sort((a, b) => (a.entry.lastAccessed || a.entry.cachedAt || 0) - (b.entry.lastAccessed || b.entry.cachedAt || 0));
+  const evicted = [];
+  for (const record of stored) {
+    if (withinLimits()) break;
+    evicted.push(record.screenName);
+    count--;
+    bytes -= record.size;
+  }
+
+  evicted.forEach(screenName => locationCache.delete(screenName));
+  await deleteLocationRecords(evicted);
+  broadcastToTabs({ type: 'cacheEntriesRemoved', screenNames: evicted });
+  console.log(`Evicted ${evicted.length} least recently used cached locations`);
+}
+
+// Cache entries for export (see cacheTransfer.js)
+async function exportCacheEntries() {
+  await ensureCacheLoaded();
+  const now = Date.now();
+  const entries = [];
+  for (const [screenName, entry] of locationCache.entries()) {
+    if (entry.expiry > now) {
+      entries.push({
+        screenName,
+        status: entry.status,
+        location: entry.location,
+        about: entry.about || null,
+        cachedAt: entry.cachedAt
+      });
+    }
+  }
+  return entries;
+}
+
+// Screen names as X allows them
+const SCREEN_NAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+// Longest location accepted from imports and hand edits
+const MAX_LOCATION_LENGTH = 100;
+// "About this account" fields kept from imported entries (see extractAboutAccount in pageScript.js)
+const ABOUT_FIELDS = ['connectedVia', 'locationAccurate', 'usernameChanges', 'lastUsernameChange', 'createdAt', 'isVerified', 'verifiedSince'];
+
+// Check an imported entry and turn it into a cache entry (null if invalid or already expired)
+function validateImportedEntry(raw, now) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.screenName !== 'string' || !SCREEN_NAME_PATTERN.test(raw.screenName)) return null;
+
+  const location = typeof raw.location === 'string' ? raw.location.trim() : null;
+  if (location !== null && (location.length === 0 || location.length > MAX_LOCATION_LENGTH)) return null;
+
+  // Files from older exports may leave out the status
+  const status = raw.status || (location ? 'found' : null);
+  if (!CACHE_TTL_DAYS[status] || (status === 'found') !== Boolean(location)) return null;
+
+  const cachedAt = Number(raw.cachedAt);
+  // Allow a little clock skew between machines
+  if (!Number.isFinite(cachedAt) || cachedAt <= 0 || cachedAt > now + 60 * 1000) return null;
+
+  const expiry = cachedAt + CACHE_TTL_DAYS[status] * DAY_MS;
+  if (expiry <= now) return null;
+
+  return { status, location, about: sanitizeAbout(raw.about), expiry, cachedAt, lastAccessed: cachedAt };
+}
+
+// Keep only known "About this account" fields with plain values (null if there are none)
+function sanitizeAbout(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const about = {};
+  for (const field of ABOUT_FIELDS) {
+    const value = raw[field];
+    about[field] = ['string', 'number', 'boolean'].includes(typeof value) ? value : null;
+  }
+  return about;
+}
+
+// Merge imported entries into the cache; for accounts we already have, the newest cachedAt wins
+async function importCacheEntries(rawEntries) {
+  await ensureCacheLoaded();
+  const now = Date.now();
+  const report = { added: 0, updated: 0, unchanged: 0, rejected: 0 };
+  const merged = {};
+
+  for (const raw of rawEntries) {
+    const entry = validateImportedEntry(raw, now);
+    if (!entry) {
+      report.rejected++;
+      continue;
+    }
+
+    const screenName = raw.screenName;
+    const existing = locationCache.get(screenName);
+    if (existing && existing.expiry > now) {
+      if (entry.cachedAt <= existing.cachedAt) {
+        report.unchanged++;
+        continue;
+      }
+      entry.lastAccessed = existing.lastAccessed || entry.lastAccessed;
+      report.updated++;
+    } else {
+      report.added++;
+    }
+    // Keep the location history we've recorded ourselves
+    entry.history = existing?.history || [];
+    locationCache.set(screenName, entry);
+    merged[screenName] = entry;
+  }
+
+  await putLocationRecords(Object.entries(merged).map(([screenName, entry]) => ({ screenName, ...entry })));
+  scheduleCacheLimitCheck();
+  broadcastToTabs({ type: 'cacheEntriesUpdated', entries: merged });
+  console.log('Cache import:', report);
+  return report;
+}
+
+// Save accounts found in X's own GraphQL responses (see pageScript.js): [{ screenName, status, location, about }].
+// Lookups still waiting in the queue for these accounts are answered right away.
+async function harvestLocations(users) {
+  await ensureCacheLoaded();
+  const now = Date.now();
+  const saved = {};
+  let answered = 0;
+
+  for (const user of users) {
+    if (!user || typeof user.screenName !== 'string' || !SCREEN_NAME_PATTERN.test(user.screenName)) continue;
+    const location = typeof user.location === 'string' && user.location.trim() ? user.location.trim() : null;
+    if (user.status !== (location ? 'found' : 'no_location')) continue;
+
+    const { screenName } = user;
+    const existing = locationCache.get(screenName);
+    if (existing && existing.expiry > now &&
+        (existing.edited || existing.location === location || (existing.status === 'found' && !location))) {
+      // Already known, set by hand, or a fresh location that a response without one
+      // mustn't overwrite (that would show up as a location change)
+      continue;
+    }
+    saved[screenName] = saveCacheEntry(screenName, user.status, location, sanitizeAbout(user.about), true);
+
+    const pending = pendingLookups.get(screenName);
+    const queuedIndex = pending ? requestQueue.indexOf(pending) : -1;
+    if (queuedIndex !== -1) {
+      requestQueue.splice(queuedIndex, 1);
+      pendingLookups.delete(screenName);
+      pending.resolve(saved[screenName]);
+      answered++;
+    }
+  }
+
+  const count = Object.keys(saved).length;
+  if (count > 0) {
+    broadcastToTabs({ type: 'cacheEntriesUpdated', entries: saved });
+    console.log(`Harvested ${count} locations from X's responses (${answered} queued lookups answered)`);
+  }
+}
+
+// Every unexpired cache entry, for the options page
+async function getCacheEntries() {
+  await ensureCacheLoaded();
+  const now = Date.now();
+  return Array.from(locationCache.entries())
+    .filter(([, entry]) => entry.expiry > now)
+    .map(([screenName, entry]) => ({ screenName, ...entry }));
+}
+
+// Delete entries everywhere (storage, worker memory and every tab's copy)
+async function removeCacheEntries(screenNames) {
+  await ensureCacheLoaded();
+  screenNames.forEach(screenName => locationCache.delete(screenName));
+  await deleteLocationRecords(screenNames);
+  broadcastToTabs({ type: 'cacheEntriesRemoved', screenNames });
+}
+
+// Set an account's location by hand; it expires like a lookup result.
+// Throws if the location is empty or too long.
+async function editCacheEntry(screenName, location) {
+  const trimmed = typeof location === 'string' ? location.trim() : '';
+  if (!trimmed) {
+    throw new Error("Location can't be empty");
+  }
+  if (trimmed.length > MAX_LOCATION_LENGTH) {
+    throw new Error(`Location can't be longer than ${MAX_LOCATION_LENGTH} characters`);
+  }
+
+  await ensureCacheLoaded();
+  const now = Date.now();
+  const entry = {
+    status: 'found',
+    location: trimmed,
+    about: locationCache.get(screenName)?.about || null,
+    history: locationCache.get(screenName)?.history || [],
+    expiry: now + CACHE_TTL_DAYS.found * DAY_MS,
+    cachedAt: now,
+    lastAccessed: now,
+    edited: true
+  };
+  locationCache.set(screenName, entry);
+  persistCacheEntry(screenName, entry);
+  broadcastToTabs({ type: 'cacheEntryUpdated', screenName, entry });
+  return entry;
+}
+
+// Clear the cache everywhere (storage, worker memory and every tab's copy)
+async function clearCache() {
+  console.log('Clearing location cache...');
+  await ensureCacheLoaded();
+  locationCache.clear();
+  await clearLocationRecords();
+  broadcastToTabs({ type: 'cacheCleared' });
+}
+
+// Cache entries as a plain object, for content scripts to seed their local copy
+function getCacheSnapshot() {
+  const now = Date.now();
+  return Object.fromEntries(Array.from(locationCache.entries()).filter(([, entry]) => entry.expiry > now));
+}
+
+// Send a message to every open X tab (tabs without the content script are skipped)
+async function broadcastToTabs(message) {
+  const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+  }
+}
+
+// Record a hard rate limit reported by a tab and tell every tab to pause
+function setRateLimit(resetTime, waitTime) {
+  // Already paused until then (e.g. the budget ran out and then a 429 came back)
+  if (resetTime === rateLimitResetTime) return;
+  rateLimitResetTime = resetTime;
+  chrome.storage.session.set({ [RATE_LIMIT_KEY]: resetTime }).catch(() => {});
+
+  const minutes = Math.ceil(waitTime / 1000 / 60);
+  console.log(`Rate limit detected. Will resume requests in ${minutes} minutes`);
+  broadcastToTabs({ type: 'rateLimited', minutes, budget: rateLimitBudgets.lookup || null });
+}
+
+// Remember the budget reported with a response (kind: 'lookup' or 'batch'). Once it's used up,
+// pause until X resets it instead of running into a 429.
+function recordRateLimitBudget(kind, budget) {
+  if (!budget) return;
+  rateLimitBudgets[kind] = budget;
+  chrome.storage.session.set({ [RATE_LIMIT_BUDGET_KEY]: rateLimitBudgets }).catch(() => {});
+
+  const waitTime = budget.resetTime * 1000 - Date.now();
+  if (budget.remaining === 0 && waitTime > 0) {
+    if (kind === 'lookup') {
+      setRateLimit(budget.resetTime, waitTime);
+    } else {
+      batchingPausedUntil = budget.resetTime * 1000;
+    }
+  }
+}
+
+// Time between requests of this kind ('lookup' or 'batch') that spreads its remaining
+// budget evenly until it resets (0 if there's no budget to go by)
+function getBudgetInterval(kind) {
+  const budget = rateLimitBudgets[kind];
+  if (!budget || budget.remaining <= 0) return 0;
+  const msUntilReset = budget.resetTime * 1000 - Date.now();
+  if (msUntilReset <= 0) return 0;
+  return Math.min(msUntilReset / budget.remaining, MAX_BUDGET_INTERVAL);
+}
+
+function clearRateLimit() {
+  rateLimitResetTime = 0;
+  chrome.storage.session.remove(RATE_LIMIT_KEY).catch(() => {});
+  broadcastToTabs({ type: 'rateLimitCleared' });
+}
+
+// Queue order: manual refreshes, then accounts on screen in some tab, then ones scrolled away
+function getLookupPriority(lookup) {
+  if (lookup.priority) return 0;
+  if (lookup.visibleTabs.size > 0) return 1;
+  return 2;
+}
+
+// Index of the most urgent queued lookup (oldest first within the same priority),
+// optionally only among those matching filter; -1 if there's none
+function findNextLookup(filter = () => true) {
+  let best = -1;
+  for (let i = 0; i < requestQueue.length; i++) {
+    if (!filter(requestQueue[i])) continue;
+    const order = best === -1 ? -1 : getLookupPriority(requestQueue[i]) - getLookupPriority(requestQueue[best]);
+    if (order < 0 || (order === 0 && requestQueue[i].timestamp < requestQueue[best].timestamp)) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+// Take the most urgent lookup off the queue, optionally only among those matching filter;
+// null if there's none
+function takeNextLookup(filter) {
+  const index = findNextLookup(filter);
+  return index === -1 ? null : requestQueue.splice(index, 1)[0];
+}
+
+function canBatch(lookup) {
+  return !lookup.single && batchSupportTabs.size > 0 && Date.now() >= batchingPausedUntil;
+}
+
+// Kind of request the queue will make next: 'batch' if the most urgent lookup can share a
+// batch with another one, otherwise 'lookup'
+function getNextRequestKind() {
+  const index = findNextLookup();
+  if (index === -1 || !canBatch(requestQueue[index])) return 'lookup';
+  return requestQueue.some((lookup, i) => i !== index && !lookup.single) ? 'batch' : 'lookup';
+}
+
+// Take the next lookup plus, if batching is available, more queued ones to go with it
+function takeNextBatch() {
+  const batch = [takeNextLookup()];
+  if (canBatch(batch[0])) {
+    while (batch.length < MAX_BATCH_SIZE) {
+      const next = takeNextLookup(lookup => !lookup.single);
+      if (!next) break;
+      batch.push(next);
+    }
+  }
+  return batch;
+}
+
+// Settle a lookup with its result (an entry, or null if it failed)
+function settleLookup(lookup, entry) {
+  pendingLookups.delete(lookup.screenName);
+  lookup.resolve(entry);
+}
+
+// Drop queued lookups nobody is waiting for anymore: scrolled away for a while in every
+// tab, or all requesting tabs closed. Tabs re-request them if they come back into view.
+function cancelStaleLookups() {
+  const now = Date.now();
+  for (let i = requestQueue.length - 1; i >= 0; i--) {
+    const lookup = requestQueue[i];
+    if (lookup.priority) continue;
+    const abandoned = lookup.tabIds.size === 0;
+    const stale = lookup.hiddenSince && now - lookup.hiddenSince > STALE_LOOKUP_MS;
+    if (abandoned || stale) {
+      console.log(`Cancelling lookup for ${lookup.screenName} (${abandoned ? 'tab closed' : 'off-screen'})`);
+      requestQueue.splice(i, 1);
+      pendingLookups.delete(lookup.screenName);
+      lookup.resolve(LOOKUP_CANCELLED);
+    }
+  }
+}
+
+// A tab reports whether the elements waiting on a lookup are on screen
+function setLookupVisibility(screenName, tabId, visible) {
+  const lookup = pendingLookups.get(screenName);
+  if (!lookup) return;
+
+  if (visible) {
+    lookup.visibleTabs.add(tabId);
+  } else {
+    lookup.visibleTabs.delete(tabId);
+  }
+  if (lookup.visibleTabs.size > 0) {
+    lookup.hiddenSince = null;
+  } else if (!lookup.hiddenSince) {
+    lookup.hiddenSince = Date.now();
+    // Check again once it would count as stale
+    setTimeout(processRequestQueue, STALE_LOOKUP_MS + 1000);
+  }
+}
+
+// Process request queue with rate limiting
+async function processRequestQueue() {
+  cancelStaleLookups();
+
+  if (isProcessingQueue || requestQueue.length === 0) {
+    return;
+  }
+
+  // Check if we're rate limited
+  if (rateLimitResetTime > 0) {
+    const now = Math.floor(Date.now() / 1000);
+    if (now < rateLimitResetTime) {
+      const waitTime = (rateLimitResetTime - now) * 1000;
+      console.log(`Rate limited. Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes...`);
+      setTimeout(processRequestQueue, Math.min(waitTime, 60000)); // Check every minute max
+      return;
+    } else {
+      // Rate limit expired, reset (and hide the warning toast in every tab)
+      clearRateLimit();
+    }
+  }
+
+  isProcessingQueue = true;
+
+  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
+    const now = Date.now();
+    const timeSinceLastRequest = now - lastRequestTime;
+
+    // Wait if needed to respect dynamic rate limit and to spread the remaining budget of the
+    // kind of request that's next (lookups and batches have separate limits)
+    const interval = Math.max(currentRequestInterval, getBudgetInterval(getNextRequestKind()));
+    if (timeSinceLastRequest < interval) {
+      await new Promise(resolve => setTimeout(resolve, interval - timeSinceLastRequest));
+    }
+
+    // Visibility may have changed while waiting
+    cancelStaleLookups();
+    if (requestQueue.length === 0) break;
+
+    const batch = takeNextBatch();
+    activeRequests++;
+    const previousRequestTime = lastRequestTime;
+    const requestTime = lastRequestTime = Date.now();
+
+    // Make the request (a batch the tab couldn't send doesn't count toward the pacing)
+    const request = batch.length > 1
+      ? makeBatchLocationRequest(batch).then(requested => {
+        if (!requested && lastRequestTime === requestTime) lastRequestTime = previousRequestTime;
+      })
+      : runSingleLookup(batch[0]);
+    request.finally(() => {
+      activeRequests--;
+      // Continue processing queue
+      setTimeout(processRequestQueue, 200);
+    });
+  }
+
+  isProcessingQueue = false;
+}
+
+// Ask one of the tabs waiting on a lookup (tabIds) to run it in its page context.
+// Tabs that were closed or navigated away in the meantime are skipped; if none of them
+// can run it (or it came from the options page), any other open X tab is used.
+async function fetchFromTab(tabIds, message) {
+  const otherTabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  const candidates = [...tabIds, ...otherTabs.map(tab => tab.id).filter(id => !tabIds.has(id))];
+
+  for (const tabId of candidates) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message);
+      if (response) return response;
+    } catch (error) {
+      console.log(`Tab ${tabId} can't run ${message.type}, trying next tab`);
+    }
+  }
+  return null;
+}
+
+// Look one account up and settle its lookup
+async function runSingleLookup(lookup) {
+  let entry = null;
+  try {
+    entry = await makeLocationRequest(lookup);
+  } catch (error) {
+    console.error(`Error looking up ${lookup.screenName}:`, error);
+  }
+  settleLookup(lookup, entry);
+}
+
+// Look several accounts up with one request. Accounts the batch answered are settled;
+// the rest go back into the queue as single lookups. Resolves with whether a request
+// went out to X.
+async function makeBatchLocationRequest(batch) {
+  const screenNames = batch.map(lookup => lookup.screenName);
+  // Tabs that can batch, those the accounts were seen in first (they know their rest IDs)
+  const lookupTabIds = new Set(batch.flatMap(lookup => Array.from(lookup.tabIds)));
+  const tabIds = new Set(Array.from(batchSupportTabs).sort((a, b) => lookupTabIds.has(b) - lookupTabIds.has(a)));
+  let response = null;
+  try {
+    response = await fetchFromTab(tabIds, { type: 'fetchLocations', screenNames });
+  } catch (error) {
+    console.error('Error in batch lookup:', error);
+  }
+  const status = response ? response.status : 'timeout';
+  const requested = Boolean(response?.requested);
+  if (response) {
+    recordRateLimitBudget('batch', response.budget);
+  }
+
+  if (status === 'rate_limited') {
+    console.log(`Not caching batch of ${batch.length} due to rate limit`);
+    backOffAfterRateLimit(response.rateLimit);
+    batch.forEach(lookup => settleLookup(lookup, null));
+    return requested;
+  }
+  if (status === 'unsupported') {
+    console.log(`Batch lookups unavailable (${response.error}), using single lookups for ${BATCH_RETRY_MS / 60000} minutes`);
+    batchingPausedUntil = Date.now() + BATCH_RETRY_MS;
+  }
+
+  const results = status === 'ok' ? response.results : {};
+  let answered = 0;
+  for (const lookup of batch) {
+    const result = results[lookup.screenName];
+    if (result && CACHE_TTL_DAYS[result.status]) {
+      settleLookup(lookup, saveLookupResult(lookup.screenName, result));
+      answered++;
+    } else {
+      lookup.single = true;
+      requestQueue.push(lookup);
+    }
+  }
+  console.log(`Batch lookup (${status}) answered ${answered} of ${batch.length} accounts`);
+  return requested;
+}
+
+// Track whether the lookup endpoint works: remember the query ID of definite answers and
+// flag the endpoint as broken after several API errors in a row
+function recordEndpointResult(response) {
+  if (CACHE_TTL_DAYS[response.status]) {
+    consecutiveEndpointFailures = 0;
+    if (response.queryId && response.queryId !== knownGoodQueryId) {
+      knownGoodQueryId = response.queryId;
+      chrome.storage.local.set({ [QUERY_ID_KEY]: knownGoodQueryId });
+    }
+    if (endpointBroken) {
+      endpointBroken = false;
+      chrome.storage.local.remove(ENDPOINT_STATUS_KEY);
+      console.log('Lookup endpoint works again');
+    }
+  } else if (response.status === 'error') {
+    consecutiveEndpointFailures++;
+    if (!endpointBroken && consecutiveEndpointFailures >= ENDPOINT_FAILURE_THRESHOLD) {
+      endpointBroken = true;
+      chrome.storage.local.set({
+        [ENDPOINT_STATUS_KEY]: { since: Date.now(), error: response.error || 'Unknown error', queryId: response.queryId || null }
+      });
+      console.error(`Lookup endpoint looks broken after ${consecutiveEndpointFailures} failed lookups:`, response.error);
+    }
+  }
+}
+
+// Make actual API request; resolves with the new cache entry, or null if the lookup failed
+async function makeLocationRequest(lookup) {
+  const { screenName } = lookup;
+  const response = await fetchFromTab(lookup.tabIds, {
+    type: 'fetchLocation',
+    screenName,
+    queryId: knownGoodQueryId
+  });
+
+  const status = response ? response.status : 'timeout';
+  if (response) {
+    recordEndpointResult(response);
+    recordRateLimitBudget('lookup', response.budget);
+  }
+
+  if (status === 'rate_limited') {
+    console.log(`Not caching ${screenName} due to rate limit`);
+    backOffAfterRateLimit(response.rateLimit);
+    return null;
+  }
+
+  if (!CACHE_TTL_DAYS[status]) {
+    // Don't cache timeouts or API errors - allow retry
+    console.log(`Lookup for ${screenName} failed (${status}), not caching`);
+    return null;
+  }
+
+  return saveLookupResult(screenName, response);
+}
+
+// Rate limited! Increase interval significantly (and pause until the reset time, if known)
+function backOffAfterRateLimit(rateLimit) {
+  currentRequestInterval = Math.min(MAX_REQUEST_INTERVAL, currentRequestInterval * 2);
+  console.log(`Rate limited (soft)! Increasing request interval to ${currentRequestInterval}ms`);
+  if (rateLimit) {
+    setRateLimit(rateLimit.resetTime, rateLimit.waitTime);
+  }
+}
+
+// Cache a definite lookup result ({ status, location, about }) and share it with every tab
+function saveLookupResult(screenName, result) {
+  const entry = saveCacheEntry(screenName, result.status, result.location || null, result.about || null);
+
+  // Successful request, slowly decrease interval if it's high
+  if (currentRequestInterval > INITIAL_REQUEST_INTERVAL) {
+    currentRequestInterval = Math.max(INITIAL_REQUEST_INTERVAL, currentRequestInterval - 100);
+    console.log(`Decreasing request interval to ${currentRequestInterval}ms`);
+  }
+
+  // Let every tab update its copy, so other tabs showing this account don't ask again
+  broadcastToTabs({ type: 'cacheEntryUpdated', screenName, entry });
+  return entry;
+}
+
+// Get a cache entry, queueing a lookup if needed (forceRefresh: look up again even if cached,
+// ahead of everything else in the queue; the old entry is kept if the new lookup fails).
+// Concurrent requests for the same handle (from any tab) share one lookup.
+// Resolves with the entry, null if the lookup failed, or LOOKUP_CANCELLED.
+async function getLocationEntry(screenName, tabId, forceRefresh = false) {
+  await ensureCacheLoaded();
+
+  const cached = locationCache.get(screenName);
+  if (cached && cached.expiry > Date.now() && !forceRefresh) {
+    return cached;
+  }
+  // Expired (or refreshing): look it up again. The old entry stays until the new result
+  // replaces it, to detect location changes.
+
+  // Requests for the same account are merged into one lookup
+  const pending = pendingLookups.get(screenName);
+  if (pending) {
+    if (tabId !== undefined) {
+      pending.tabIds.add(tabId);
+      // A new request comes from an account that's on screen
+      setLookupVisibility(screenName, tabId, true);
+    }
+    if (forceRefresh) pending.priority = true;
+    return pending.promise;
+  }
+
+  console.log(`Queueing API request for ${screenName}`);
+  // tabIds: tabs waiting on the lookup; visibleTabs: those showing the account right now;
+  // single: a batch couldn't answer it, so it's looked up on its own
+  const lookup = {
+    screenName,
+    tabIds: new Set(),
+    visibleTabs: new Set(),
+    hiddenSince: null,
+    priority: forceRefresh,
+    single: false,
+    timestamp: Date.now()
+  };
+  if (tabId !== undefined) {
+    lookup.tabIds.add(tabId);
+    lookup.visibleTabs.add(tabId);
+  }
+  lookup.promise = new Promise(resolve => {
+    lookup.resolve = resolve;
+  });
+  pendingLookups.set(screenName, lookup);
+  requestQueue.push(lookup);
+  processRequestQueue();
+  return lookup.promise;
+}
+
+// Closed tabs stop waiting on their lookups (and no longer run batches)
+chrome.tabs.onRemoved.addListener((tabId) => {
+  batchSupportTabs.delete(tabId);
+  for (const lookup of pendingLookups.values()) {
+    if (lookup.tabIds.delete(tabId)) {
+      setLookupVisibility(lookup.screenName, tabId, false);
+    }
+  }
+  cancelStaleLookups();
+});
+
+// Messages from content scripts and the popup
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === 'injectPageScript') {
+    // Run the page script in the tab's page context with the content script's channel nonce
+    // as an argument, so the nonce never shows up in the DOM (see injectPageScript in content.js)
+    if (!sender.tab || typeof request.nonce !== 'string') return;
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      world: 'MAIN',
+      func: locationFlagPageScript,
+      args: [request.nonce]
+    }).then(() => sendResponse({ injected: true }), (error) => {
+      console.error(`Couldn't inject page script into tab ${sender.tab.id}:`, error);
+      sendResponse({ injected: false });
+    });
+    return true;
+  }
+
+  if (request.type === 'getLocation' || request.type === 'refreshLocation') {
+    getLocationEntry(request.screenName, sender.tab?.id, request.type === 'refreshLocation')
+      .then(result => sendResponse(result === LOOKUP_CANCELLED ? { entry: null, cancelled: true } : { entry: result }));
+    return true;
+  }
+
+  if (request.type === 'harvestLocations') {
+    if (Array.isArray(request.users)) {
+      harvestLocations(request.users);
+    }
+    return;
+  }
+
+  if (request.type === 'batchSupport') {
+    if (sender.tab) {
+      if (request.supported === true) {
+        batchSupportTabs.add(sender.tab.id);
+      } else {
+        batchSupportTabs.delete(sender.tab.id);
+      }
+    }
+    return;
+  }
+
+  if (request.type === 'lookupVisibility') {
+    if (sender.tab) {
+      setLookupVisibility(request.screenName, sender.tab.id, request.visible);
+    }
+    return;
+  }
+
+  if (request.type === 'getCacheEntries') {
+    getCacheEntries().then(entries => sendResponse({ entries }));
+    return true;
+  }
+
+  if (request.type === 'removeCacheEntries') {
+    removeCacheEntries(request.screenNames || []).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (request.type === 'editCacheEntry') {
+    editCacheEntry(request.screenName, request.location)
+      .then(entry => sendResponse({ entry }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'getCache') {
+    ensureCacheLoaded().then(() => sendResponse({
+      entries: getCacheSnapshot(),
+      rateLimitResetTime,
+      rateLimitBudget: rateLimitBudgets.lookup || null
+    }));
+    return true;
+  }
+
+  if (request.type === 'getCacheStats') {
+    ensureCacheLoaded().then(() => {
+      const stored = getStoredEntries();
+      // Stale entries (kept for change detection) take up space but don't count as cached
+      const fresh = stored.filter(record => record.entry.expiry > Date.now());
+      sendResponse({
+        count: fresh.length,
+        withoutLocation: fresh.filter(record => record.entry.status !== 'found').length,
+        bytes: stored.reduce((sum, record) => sum + record.size, 0)
+      });
+    });
+    return true;
+  }
+
+  if (request.type === 'touchEntries') {
+    touchCacheEntries(request.screenNames || [])
+      .catch(error => console.error('Error updating cache access times:', error));
+  }
+
+  if (request.type === 'exportCache') {
+    exportCacheEntries().then(entries => sendResponse({ entries }));
+    return true;
+  }
+
+  if (request.type === 'importCache') {
+    importCacheEntries(request.entries || [])
+      .then(report => sendResponse({ report }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'clearCache') {
+    clearCache().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+});
+
+// Apply new cache size limits right away
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+  if (!changes[CACHE_MAX_ENTRIES_KEY] && !changes[CACHE_MAX_SIZE_KEY]) return;
+
+  ensureCacheLoaded().then(() => {
+    if (changes[CACHE_MAX_ENTRIES_KEY]) {
+      cacheMaxEntries = changes[CACHE_MAX_ENTRIES_KEY].newValue ?? DEFAULT_CACHE_MAX_ENTRIES;
+    }
+    if (changes[CACHE_MAX_SIZE_KEY]) {
+      cacheMaxSizeMb = changes[CACHE_MAX_SIZE_KEY].newValue ?? DEFAULT_CACHE_MAX_SIZE_MB;
+    }
+    console.log(`Cache limits updated: ${cacheMaxEntries || 'unlimited'} entries, ${cacheMaxSizeMb || 'unlimited'} MB`);
+    return enforceCacheLimits();
+  }).catch(error => console.error('Error applying cache limits:', error));
+});
+
+// Settings sync (see settings.js)
+
+// Upgrade locally stored settings to the current schema
+async function migrateLocalSettings() {
+  const stored = await chrome.storage.local.get([...SETTINGS_KEYS, SETTINGS_VERSION_KEY]);
+  const version = stored[SETTINGS_VERSION_KEY] || 0;
+  if (version === SETTINGS_SCHEMA_VERSION) return;
+
+  const migrated = migrateSettings(stored, version);
+  await chrome.storage.local.set({ ...migrated, [SETTINGS_VERSION_KEY]: SETTINGS_SCHEMA_VERSION });
+  console.log(`Migrated settings from schema ${version} to ${SETTINGS_SCHEMA_VERSION}`);
+}
+
+async function isSyncEnabled() {
+  const result = await chrome.storage.local.get(SYNC_ENABLED_KEY);
+  return result[SYNC_ENABLED_KEY] === true;
+}
+
+// Copy settings into a storage area (undefined values are removed there).
+// Values that are already equal are skipped, so a change doesn't bounce between local and sync.
+async function copySettings(values, area) {
+  const current = await area.get(Object.keys(values));
+  const toSet = {};
+  const toRemove = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) {
+      if (current[key] !== undefined) toRemove.push(key);
+    } else if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+      toSet[key] = value;
+    }
+  }
+  if (toRemove.length > 0) await area.remove(toRemove);
+  if (Object.keys(toSet).length > 0) await area.set(toSet);
+}
+
+// Record (or clear) the last sync problem for the popup
+function setSyncError(message) {
+  return message
+    ? chrome.storage.local.set({ [SYNC_ERROR_KEY]: message })
+    : chrome.storage.local.remove(SYNC_ERROR_KEY);
+}
+
+// Upload changed settings to chrome.storage.sync
+async function pushSettingsToSync(values) {
+  try {
+    await copySettings({ ...values, [SETTINGS_VERSION_KEY]: SETTINGS_SCHEMA_VERSION }, chrome.storage.sync);
+    await setSyncError(null);
+  } catch (error) {
+    // Most likely a sync quota (e.g. a very long override list)
+    console.error('Error syncing settings:', error);
+    await setSyncError(error.message);
+  }
+}
+
+// Apply settings that changed on another machine, upgrading them if they were saved by an older version
+async function pullSettingsFromSync(values) {
+  try {
+    const synced = await chrome.storage.sync.get(SETTINGS_VERSION_KEY);
+    const migrated = migrateSettings(values, synced[SETTINGS_VERSION_KEY] || 0);
+    for (const key of Object.keys(values)) {
+      if (values[key] === undefined) migrated[key] = undefined;
+    }
+    await copySettings(migrated, chrome.storage.local);
+    await setSyncError(null);
+  } catch (error) {
+    console.error('Error applying synced settings:', error);
+    await setSyncError(error.message);
+  }
+}
+
+// Turning sync on: adopt settings already synced from another machine, or upload ours
+async function startSettingsSync() {
+  const synced = pickSettings(await chrome.storage.sync.get(SETTINGS_KEYS));
+  if (Object.keys(synced).length > 0) {
+    console.log('Applying synced settings');
+    await pullSettingsFromSync(synced);
+  } else {
+    console.log('Uploading settings to sync');
+    await pushSettingsToSync(pickSettings(await chrome.storage.local.get(SETTINGS_KEYS)));
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[SYNC_ENABLED_KEY]) {
+    if (changes[SYNC_ENABLED_KEY].newValue === true) {
+      startSettingsSync();
+    } else {
+      setSyncError(null);
+    }
+    return;
+  }
+
+  const settingChanges = {};
+  for (const key of SETTINGS_KEYS) {
+    if (changes[key]) settingChanges[key] = changes[key].newValue;
+  }
+  if (Object.keys(settingChanges).length === 0) return;
+
+  isSyncEnabled().then(enabled => {
+    if (!enabled) return;
+    if (namespace === 'local') {
+      pushSettingsToSync(settingChanges);
+    } else if (namespace === 'sync') {
+      pullSettingsFromSync(settingChanges);
+    }
+  });
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  migrateLocalSettings().catch(error => console.error('Error migrating settings:', error));
+});
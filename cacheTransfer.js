@@ -0,0 +1,162 @@
+// File formats for sharing the location cache and the blacklist (used by the popup and the
+// cache page)
+// JSON files carry a format name and version so future versions can still read them.
+// Entry validation and merging happen in the background worker, which owns the cache.
+
+const CACHE_EXPORT_FORMAT = 'twitter-location-cache';
+const BLACKLIST_EXPORT_FORMAT = 'twitter-location-blacklist';
+const EXPORT_VERSION = 1;
+
+// Columns of the cache CSV export (timestamps as ISO 8601)
+const CACHE_CSV_COLUMNS = ['screen_name', 'status', 'location', 'connected_via', 'cached_at'];
+
+// Serialize cache entries ({ screenName, status, location, about, cachedAt }) as JSON
+function buildCacheJson(entries) {
+  return JSON.stringify({
+    format: CACHE_EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+}
+
+// Quote a CSV field when needed
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize cache entries as CSV (the "About this account" details are reduced to connected_via)
+function buildCacheCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.screenName,
+    entry.status,
+    entry.location,
+    entry.about?.connectedVia,
+    new Date(entry.cachedAt).toISOString()
+  ]);
+  return [CACHE_CSV_COLUMNS, ...rows]
+    .map(row => row.map(escapeCsvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Split CSV text into rows of fields (handles quoted fields, escaped quotes and CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Turn a CSV export back into raw cache entries (validated later by the worker)
+function parseCacheCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  if (!columns.includes('screen_name') || !columns.includes('location')) {
+    throw new Error('CSV needs at least "screen_name" and "location" columns');
+  }
+
+  return rows.map(fields => {
+    const value = (name) => {
+      const index = columns.indexOf(name);
+      return index === -1 ? '' : (fields[index] || '').trim();
+    };
+    const connectedVia = value('connected_via');
+    return {
+      screenName: value('screen_name'),
+      status: value('status') || undefined,
+      location: value('location') || null,
+      about: connectedVia ? { connectedVia } : null,
+      cachedAt: value('cached_at') ? Date.parse(value('cached_at')) : undefined
+    };
+  });
+}
+
+// Parse an exported JSON file, checking its format name and version
+function parseVersionedJson(text, format) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!data || data.format !== format) {
+    throw new Error(`Not a ${format} file`);
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported ${format} version: ${data.version}`);
+  }
+  return data;
+}
+
+// Read raw cache entries from an exported JSON or CSV file
+function parseCacheImport(text, fileName) {
+  if (/\.csv$/i.test(fileName)) {
+    return parseCacheCsv(text);
+  }
+  const data = parseVersionedJson(text, CACHE_EXPORT_FORMAT);
+  if (!Array.isArray(data.entries)) {
+    throw new Error('Cache file has no entries');
+  }
+  return data.entries;
+}
+
+function buildBlacklistJson(countries) {
+  return JSON.stringify({
+    format: BLACKLIST_EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    countries
+  }, null, 2);
+}
+
+// Read the raw country entries from an exported blacklist file
+function parseBlacklistImport(text) {
+  const data = parseVersionedJson(text, BLACKLIST_EXPORT_FORMAT);
+  if (!Array.isArray(data.countries)) {
+    throw new Error('Blacklist file has no countries');
+  }
+  return data.countries;
+}
+
+// Offer text as a file download
+function downloadTextFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
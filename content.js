@@ -1,31 +1,45 @@
-// Cache for user locations - persistent storage
+// Local copy of the location cache, for synchronous lookups while rendering.
+// The background service worker owns the real cache and the request queue (see background.js).
 let locationCache = new Map();
-const CACHE_KEY = 'twitter_location_cache';
-const CACHE_EXPIRY_DAYS = 30; // Cache for 30 days
-
-// Rate limiting
-const requestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-// Dynamic Rate Limiting
-const INITIAL_REQUEST_INTERVAL = 300; // Start fast (300ms)
-let currentRequestInterval = INITIAL_REQUEST_INTERVAL;
-const MAX_REQUEST_INTERVAL = 10000; // Max backoff to 10s
-const MAX_CONCURRENT_REQUESTS = 2;
-let activeRequests = 0;
-let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
+
+// Cached accounts shown since the last report to the worker, which evicts least recently used entries
+const touchedScreenNames = new Set();
+
+// Most recent hard rate limit reported by the page script
+let lastRateLimitInfo = null;
+
+// Accounts shown from locations harvested out of X's own responses, i.e. lookups saved
+const harvestedHits = new Set();
+
+// Private channel to the page script (see injectPageScript)
+let pagePort = null;
+// Lookups sent to the page script, by request ID: { screenName, resolve } or { screenNames, resolve } for batches
+const pendingPageRequests = new Map();
 
 // Observer for dynamically loaded content
 let observer = null;
 
+// Elements waiting on a queued lookup: element -> { screenName, visible }.
+// They stay observed so the worker can serve accounts on screen first.
+const pendingLookupElements = new Map();
+
+// What getUserLocation resolves with when the worker dropped a lookup that scrolled away
+const LOOKUP_CANCELLED = { cancelled: true };
+
 // Visibility observer with debouncing to handle scroll speed
 const visibilityObserver = new IntersectionObserver((entries) => {
   entries.forEach(entry => {
     const element = entry.target;
+
+    // Already queued: just tell the worker whether it's still on screen
+    if (pendingLookupElements.has(element)) {
+      updateLookupVisibility(element, entry.isIntersecting);
+      return;
+    }
     
     if (entry.isIntersecting) {
       // Optimistic check: If already cached, process immediately to avoid visual pop-in
-      const screenName = extractUsername(element);
+      const screenName = getElementScreenName(element);
       if (screenName && locationCache.has(screenName)) {
          visibilityObserver.unobserve(element);
          // If there was a pending debounce, cancel it
@@ -42,16 +56,25 @@ const visibilityObserver = new IntersectionObserver((entries) => {
         const timer = setTimeout(() => {
           // Double check visibility/existance
           if (element.isConnected) {
-             // Process now
-             visibilityObserver.unobserve(element);
+             // Process now (keep observing until the lookup finishes, see pendingLookupElements)
              delete element.dataset.debounceTimer;
              
-             const name = screenName || extractUsername(element);
+             const name = screenName || getElementScreenName(element);
              if (name) {
+               pendingLookupElements.set(element, { screenName: name, visible: true });
                addFlagToUsername(element, name).catch(err => {
                  console.error(`Error processing ${name}:`, err);
                  element.dataset.flagAdded = 'failed';
+               }).finally(() => {
+                 pendingLookupElements.delete(element);
+                 visibilityObserver.unobserve(element);
+                 // Cancelled: observe afresh so it's requested again once back in view
+                 if (!element.dataset.flagAdded && element.dataset.observed) {
+                   visibilityObserver.observe(element);
+                 }
                });
+             } else {
+               visibilityObserver.unobserve(element);
              }
           }
         }, 2000); // 2000ms debounce
@@ -67,6 +90,28 @@ const visibilityObserver = new IntersectionObserver((entries) => {
   });
 }, { rootMargin: '800px' }); // Expanded pre-fetch margin to process items before they scroll into view (if cached)
 
+// Whether any element waiting on this account's lookup is on screen
+function isLookupVisible(screenName) {
+  for (const pending of pendingLookupElements.values()) {
+    if (pending.screenName === screenName && pending.visible) return true;
+  }
+  return false;
+}
+
+// Track a waiting element scrolling in or out of view and let the worker reprioritize
+// the lookup when the account as a whole appears or disappears
+function updateLookupVisibility(element, visible) {
+  const pending = pendingLookupElements.get(element);
+  if (!pending || pending.visible === visible) return;
+
+  const wasVisible = isLookupVisible(pending.screenName);
+  pending.visible = visible;
+  if (isLookupVisible(pending.screenName) !== wasVisible && chrome.runtime?.id) {
+    chrome.runtime.sendMessage({ type: 'lookupVisibility', screenName: pending.screenName, visible: !wasVisible })
+      .catch(() => {});
+  }
+}
+
 // Extension enabled state
 let extensionEnabled = true;
 const TOGGLE_KEY = 'extension_enabled';
@@ -74,58 +119,256 @@ const DEFAULT_ENABLED = true;
 const BLACKLIST_KEY = 'blocked_countries';
 let blockedCountries = [];
 
+// Filter mode: 'blacklist' hides listed countries, 'allowlist' hides everything else
+const FILTER_MODE_KEY = 'filter_mode';
+const DEFAULT_FILTER_MODE = 'blacklist';
+let filterMode = DEFAULT_FILTER_MODE;
+const ALLOWLIST_KEY = 'allowed_countries';
+let allowedCountries = [];
+// What to do with accounts without a location in allowlist mode ('show' or 'hide')
+const UNKNOWN_LOCATION_KEY = 'unknown_location_action';
+const DEFAULT_UNKNOWN_LOCATION_ACTION = 'show';
+let unknownLocationAction = DEFAULT_UNKNOWN_LOCATION_ACTION;
+
+// Per-account overrides: lowercase handle -> 'show' | 'hide' (take precedence over country rules)
+const OVERRIDES_KEY = 'account_overrides';
+let accountOverrides = {};
+
+// Accounts to be notified about when their location changes (lowercase handles)
+const WATCHLIST_KEY = 'watched_accounts';
+let watchedAccounts = [];
+
+// Which authors of a retweet / quote tweet can hide it:
+// 'any' hides the tweet if any author is blocked, 'primary' only if the tweet's author is,
+// 'quote' hides the tweet for its author and collapses just the quoted card for the quoted author
+const EMBEDDED_POLICY_KEY = 'embedded_author_policy';
+const DEFAULT_EMBEDDED_POLICY = 'any';
+let embeddedAuthorPolicy = DEFAULT_EMBEDDED_POLICY;
+
+// Collapse hidden replies on conversation pages into one "N replies hidden" group per thread
+const GROUP_REPLIES_KEY = 'group_hidden_replies';
+const DEFAULT_GROUP_REPLIES = true;
+let groupHiddenReplies = DEFAULT_GROUP_REPLIES;
+
+// Extra rules based on "About this account" data (both off by default)
+// Hide accounts whose "based in" country differs from the store region they connect through
+const MISMATCH_RULE_KEY = 'hide_location_mismatch';
+let hideLocationMismatch = false;
+// Hide accounts whose location X flags as possibly inaccurate (VPN or proxy)
+const INACCURATE_RULE_KEY = 'hide_inaccurate_location';
+let hideInaccurateLocation = false;
+
+// Pages ("surfaces") the extension runs on, each with its own on/off setting
+// (quotedAuthors: authors of quoted tweets embedded in other tweets, on any page)
+const SURFACES_KEY = 'enabled_surfaces';
+const DEFAULT_SURFACES = {
+  home: true,
+  search: true,
+  tweet: true,
+  quotes: true,
+  quotedAuthors: true,
+  lists: true,
+  profile: true,
+  follows: true,
+  notifications: true
+};
+let enabledSurfaces = { ...DEFAULT_SURFACES };
+
 // Track usernames currently being processed to avoid duplicate requests
 const processingUsernames = new Set();
 
 // Load enabled state
 async function loadEnabledState() {
   try {
-    const result = await chrome.storage.local.get([TOGGLE_KEY, BLACKLIST_KEY]);
+    const result = await chrome.storage.local.get([TOGGLE_KEY, BLACKLIST_KEY, FILTER_MODE_KEY, ALLOWLIST_KEY, UNKNOWN_LOCATION_KEY, SURFACES_KEY, OVERRIDES_KEY, EMBEDDED_POLICY_KEY, GROUP_REPLIES_KEY, MISMATCH_RULE_KEY, INACCURATE_RULE_KEY, WATCHLIST_KEY]);
     extensionEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
     blockedCountries = result[BLACKLIST_KEY] || [];
+    filterMode = result[FILTER_MODE_KEY] || DEFAULT_FILTER_MODE;
+    allowedCountries = result[ALLOWLIST_KEY] || [];
+    unknownLocationAction = result[UNKNOWN_LOCATION_KEY] || DEFAULT_UNKNOWN_LOCATION_ACTION;
+    enabledSurfaces = { ...DEFAULT_SURFACES, ...(result[SURFACES_KEY] || {}) };
+    accountOverrides = result[OVERRIDES_KEY] || {};
+    watchedAccounts = result[WATCHLIST_KEY] || [];
+    embeddedAuthorPolicy = result[EMBEDDED_POLICY_KEY] || DEFAULT_EMBEDDED_POLICY;
+    groupHiddenReplies = result[GROUP_REPLIES_KEY] !== undefined ? result[GROUP_REPLIES_KEY] : DEFAULT_GROUP_REPLIES;
+    hideLocationMismatch = result[MISMATCH_RULE_KEY] || false;
+    hideInaccurateLocation = result[INACCURATE_RULE_KEY] || false;
     console.log('Extension enabled:', extensionEnabled);
+    console.log('Filter mode:', filterMode);
     console.log('Blocked countries:', blockedCountries);
+    console.log('Allowed countries:', allowedCountries);
+    console.log('Enabled surfaces:', enabledSurfaces);
   } catch (error) {
     console.error('Error loading enabled state:', error);
     extensionEnabled = DEFAULT_ENABLED;
     blockedCountries = [];
+    filterMode = DEFAULT_FILTER_MODE;
+    allowedCountries = [];
+    unknownLocationAction = DEFAULT_UNKNOWN_LOCATION_ACTION;
+    enabledSurfaces = { ...DEFAULT_SURFACES };
+    accountOverrides = {};
+    watchedAccounts = [];
+    embeddedAuthorPolicy = DEFAULT_EMBEDDED_POLICY;
+    groupHiddenReplies = DEFAULT_GROUP_REPLIES;
+    hideLocationMismatch = false;
+    hideInaccurateLocation = false;
+  }
+}
+
+// Turn the extension on or off in this tab
+function setExtensionEnabled(enabled) {
+  if (enabled === extensionEnabled) return;
+  extensionEnabled = enabled;
+  console.log('Extension toggled:', extensionEnabled);
+  
+  if (extensionEnabled) {
+    // Re-initialize if enabled (the page script isn't injected when the page loaded disabled)
+    injectPageScript();
+    if (!observer && isCurrentPageEnabled()) {
+      initObserver();
+    }
+    setTimeout(() => {
+      processUsernames();
+    }, 500);
+  } else {
+    // Remove all flags if disabled
+    removeAllFlags();
   }
 }
 
 // Listen for toggle changes from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'extensionToggle') {
-    extensionEnabled = request.enabled;
-    console.log('Extension toggled:', extensionEnabled);
-    
-    if (extensionEnabled) {
-      // Re-initialize if enabled
-      setTimeout(() => {
-        processUsernames();
-      }, 500);
-    } else {
-      // Remove all flags if disabled
-      removeAllFlags();
+    setExtensionEnabled(request.enabled);
+  } else if (request.type === 'fetchLocation') {
+    // The background worker picked this tab to run a lookup in its page context
+    if (!pagePort) {
+      // Extension is off in this tab (or the page script isn't connected); let the worker try another one
+      sendResponse(null);
+      return;
+    }
+    makeLocationRequest(request.screenName, request.queryId).then(sendResponse);
+    return true;
+  } else if (request.type === 'fetchLocations') {
+    // Same, for a batch of accounts
+    if (!pagePort) {
+      sendResponse(null);
+      return;
     }
-  } else if (request.type === 'clearCache') {
+    makeBatchLocationRequest(request.screenNames).then(sendResponse);
+    return true;
+  } else if (request.type === 'cacheEntryUpdated') {
+    // Redraw accounts whose location changed (e.g. refreshed in another tab)
+    const changed = locationCache.has(request.screenName) &&
+      getCachedLocation(request.screenName) !== request.entry.location;
+    locationCache.set(request.screenName, request.entry);
+    if (changed) rerenderAccount(request.screenName);
+  } else if (request.type === 'cacheEntriesUpdated') {
+    for (const [screenName, entry] of Object.entries(request.entries)) {
+      locationCache.set(screenName, entry);
+    }
+  } else if (request.type === 'cacheEntriesRemoved') {
+    request.screenNames.forEach(screenName => locationCache.delete(screenName));
+  } else if (request.type === 'cacheCleared') {
     console.log('Clearing location cache...');
     locationCache.clear();
-    saveCache(); // Save empty cache
+  } else if (request.type === 'watchedLocationChanged') {
+    showWatchAlert(request.screenName, request.previousLocation, request.location);
+  } else if (request.type === 'rateLimited') {
+    showRateLimitToast(request.minutes, request.budget);
+  } else if (request.type === 'rateLimitCleared') {
+    hideRateLimitToast();
   }
 });
 
-// Listen for blacklist changes
+// Listen for blacklist / allowlist changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local' && changes[BLACKLIST_KEY]) {
+  if (namespace !== 'local') return;
+
+  // Toggled in another tab or synced from another machine
+  if (changes[TOGGLE_KEY]) {
+    setExtensionEnabled(changes[TOGGLE_KEY].newValue !== undefined ? changes[TOGGLE_KEY].newValue : DEFAULT_ENABLED);
+  }
+
+  let rulesChanged = false;
+  if (changes[BLACKLIST_KEY]) {
     blockedCountries = changes[BLACKLIST_KEY].newValue || [];
     console.log('Blacklist updated:', blockedCountries);
-    // Reprocess usernames to apply new rules (simple way: processUsernames)
-    // Note: This won't unhide already hidden posts easily, but will hide new matches
+    rulesChanged = true;
+  }
+  if (changes[ALLOWLIST_KEY]) {
+    allowedCountries = changes[ALLOWLIST_KEY].newValue || [];
+    console.log('Allowlist updated:', allowedCountries);
+    rulesChanged = true;
+  }
+  if (changes[FILTER_MODE_KEY]) {
+    filterMode = changes[FILTER_MODE_KEY].newValue || DEFAULT_FILTER_MODE;
+    console.log('Filter mode updated:', filterMode);
+    rulesChanged = true;
+  }
+  if (changes[UNKNOWN_LOCATION_KEY]) {
+    unknownLocationAction = changes[UNKNOWN_LOCATION_KEY].newValue || DEFAULT_UNKNOWN_LOCATION_ACTION;
+    console.log('Unknown location action updated:', unknownLocationAction);
+    rulesChanged = true;
+  }
+
+  if (changes[MISMATCH_RULE_KEY]) {
+    hideLocationMismatch = changes[MISMATCH_RULE_KEY].newValue || false;
+    console.log('Hide location mismatch updated:', hideLocationMismatch);
+    rulesChanged = true;
+  }
+  if (changes[INACCURATE_RULE_KEY]) {
+    hideInaccurateLocation = changes[INACCURATE_RULE_KEY].newValue || false;
+    console.log('Hide inaccurate location updated:', hideInaccurateLocation);
+    rulesChanged = true;
+  }
+
+  if (changes[WATCHLIST_KEY]) {
+    watchedAccounts = changes[WATCHLIST_KEY].newValue || [];
+    console.log('Watched accounts updated:', watchedAccounts);
+  }
+
+  if (changes[OVERRIDES_KEY]) {
+    accountOverrides = changes[OVERRIDES_KEY].newValue || {};
+    console.log('Account overrides updated:', accountOverrides);
+    rulesChanged = true;
+  }
+
+  if (changes[EMBEDDED_POLICY_KEY]) {
+    embeddedAuthorPolicy = changes[EMBEDDED_POLICY_KEY].newValue || DEFAULT_EMBEDDED_POLICY;
+    console.log('Embedded author policy updated:', embeddedAuthorPolicy);
+    rulesChanged = true;
+  }
+
+  if (changes[GROUP_REPLIES_KEY]) {
+    groupHiddenReplies = changes[GROUP_REPLIES_KEY].newValue !== undefined ? changes[GROUP_REPLIES_KEY].newValue : DEFAULT_GROUP_REPLIES;
+    console.log('Group hidden replies updated:', groupHiddenReplies);
+    // Switch already hidden replies between grouped and individual placeholders
+    regroupHiddenReplies();
+  }
+
+  if (changes[SURFACES_KEY]) {
+    enabledSurfaces = { ...DEFAULT_SURFACES, ...(changes[SURFACES_KEY].newValue || {}) };
+    console.log('Enabled surfaces updated:', enabledSurfaces);
+    if (extensionEnabled) {
+      if (isCurrentPageEnabled()) {
+        startProcessing();
+      } else {
+        // Surface switched off while we're on it: clean up the page
+        stopProcessing();
+        removeAllFlags();
+      }
+    }
+  }
+
+  if (rulesChanged) {
+    // Apply the new rules to posts already on the page (hide new matches, restore unblocked ones)
+    applyFilterRules();
     processUsernames();
   }
 });
 
-// Load cache from persistent storage
+// Seed the local cache copy from the background worker
 async function loadCache() {
   try {
     // Check if extension context is still valid
@@ -134,27 +377,16 @@ async function loadCache() {
       return;
     }
     
-    const result = await chrome.storage.local.get(CACHE_KEY);
-    if (result[CACHE_KEY]) {
-      const cached = result[CACHE_KEY];
-      const now = Date.now();
-      
-      // Filter out expired entries and null entries (allow retry)
-      for (const [username, data] of Object.entries(cached)) {
-        // Handle legacy format where cache might store string or incomplete object
-        if (typeof data === 'string') {
-          // Legacy string format - upgrade it
-          locationCache.set(username, {
-            location: data,
-            expiry: now + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
-            cachedAt: now
-          });
-        } else if (data.expiry && data.expiry > now && data.location !== null) {
-          // Valid object format
-          locationCache.set(username, data);
-        }
-      }
-      console.log(`Loaded ${locationCache.size} cached locations (excluding null entries)`);
+    const { entries, rateLimitResetTime, rateLimitBudget } = await chrome.runtime.sendMessage({ type: 'getCache' });
+    for (const [username, data] of Object.entries(entries || {})) {
+      locationCache.set(username, data);
+    }
+    console.log(`Loaded ${locationCache.size} cached locations`);
+    
+    // Opened while another tab's lookups are paused by a rate limit
+    const waitTime = rateLimitResetTime * 1000 - Date.now();
+    if (waitTime > 0) {
+      showRateLimitToast(Math.ceil(waitTime / 1000 / 60), rateLimitBudget);
     }
   } catch (error) {
     // Extension context invalidated errors are expected when extension is reloaded
@@ -167,105 +399,183 @@ async function loadCache() {
   }
 }
 
-// Save cache to persistent storage
-async function saveCache() {
-  try {
-    // Check if extension context is still valid
-    if (!chrome.runtime?.id) {
-      console.log('Extension context invalidated, skipping cache save');
+// Inject script into page context to access fetch with proper cookies
+function injectPageScript() {
+  if (injectPageScript.done) return;
+  injectPageScript.done = true;
+  
+  // The background worker runs the page script in the page context with a one-time nonce
+  // passed as an argument (it never appears in the DOM, so page code can't read it). The page
+  // script hands back a MessageChannel port in an event named after the nonce, which this
+  // listener (set up before injection) is the only one to know about: nothing is broadcast
+  // with window.postMessage, so other scripts on the page can't catch the port. The first
+  // event is taken and the listener removed.
+  const nonce = crypto.randomUUID();
+  const channelEvent = `__locationFlagChannel:${nonce}`;
+  const handshake = (event) => {
+    if (!event.ports?.[0]) {
+      console.warn('Ignored page script channel without a port');
       return;
     }
-    
-    const cacheObj = {};
-    const now = Date.now();
-    const defaultExpiry = now + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
-    
-    for (const [username, data] of locationCache.entries()) {
-      // Ensure we have a valid object structure
-      if (typeof data === 'object' && data !== null && data.location) {
-        cacheObj[username] = data;
-      } else if (typeof data === 'string') {
-        // Fix any string entries that might have slipped in
-        cacheObj[username] = {
-          location: data,
-          expiry: defaultExpiry,
-          cachedAt: now
-        };
+    window.removeEventListener(channelEvent, handshake);
+    pagePort = event.ports[0];
+    pagePort.onmessage = (message) => handlePageMessage(message.data);
+  };
+  window.addEventListener(channelEvent, handshake);
+  
+  chrome.runtime.sendMessage({ type: 'injectPageScript', nonce })
+    .then(response => {
+      if (!response?.injected) {
+        console.error('Page script could not be injected; lookups will use other tabs');
       }
-    }
-    
-    await chrome.storage.local.set({ [CACHE_KEY]: cacheObj });
-  } catch (error) {
-    // Extension context invalidated errors are expected when extension is reloaded
-    if (error.message?.includes('Extension context invalidated') || 
-        error.message?.includes('message port closed')) {
-      console.log('Extension context invalidated, cache save skipped');
-    } else {
-      console.error('Error saving cache:', error);
-    }
-  }
+    })
+    .catch(() => {});
 }
 
-// Save a single entry to cache
-async function saveCacheEntry(username, location) {
-  // Check if extension context is still valid
-  if (!chrome.runtime?.id) {
-    console.log('Extension context invalidated, skipping cache entry save');
+// Lookup outcomes the page script may report
+const PAGE_LOOKUP_STATUSES = ['found', 'no_location', 'not_found', 'rate_limited', 'error'];
+// "About this account" fields (see extractAboutAccount in pageScript.js)
+const ABOUT_FIELDS = ['connectedVia', 'locationAccurate', 'usernameChanges', 'lastUsernameChange', 'createdAt', 'isVerified', 'verifiedSince'];
+const SCREEN_NAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+function isValidPageLocation(location) {
+  return location === null || (typeof location === 'string' && location.length > 0 && location.length <= 200);
+}
+
+function isValidPageAbout(about) {
+  if (about === null) return true;
+  if (typeof about !== 'object' || Array.isArray(about)) return false;
+  return Object.entries(about).every(([field, value]) =>
+    ABOUT_FIELDS.includes(field) && (value === null || ['string', 'number', 'boolean'].includes(typeof value)));
+}
+
+// One account's result in a batch response: { status, location, about }
+function isValidBatchResult(result) {
+  return Boolean(result) && typeof result === 'object' &&
+    result.status === (result.location ? 'found' : 'no_location') &&
+    isValidPageLocation(result.location) && isValidPageAbout(result.about);
+}
+
+// Rate-limit budget from X's x-rate-limit-* headers: { limit, remaining, resetTime }
+function isValidPageBudget(budget) {
+  return budget === null || (Boolean(budget) && typeof budget === 'object' &&
+    ['limit', 'remaining', 'resetTime'].every(field => Number.isInteger(budget[field]) && budget[field] >= 0));
+}
+
+// An account found in X's own responses: { screenName, status, location, about }
+function isValidHarvestedUser(user) {
+  return Boolean(user) && typeof user.screenName === 'string' && SCREEN_NAME_PATTERN.test(user.screenName) &&
+    user.status === (user.location ? 'found' : 'no_location') &&
+    isValidPageLocation(user.location) && isValidPageAbout(user.about);
+}
+
+// Schema of every message the page script sends
+const PAGE_MESSAGE_VALIDATORS = {
+  __locationResponse: (data) =>
+    typeof data.requestId === 'string' &&
+    typeof data.screenName === 'string' && SCREEN_NAME_PATTERN.test(data.screenName) &&
+    PAGE_LOOKUP_STATUSES.includes(data.status) &&
+    isValidPageLocation(data.location) && isValidPageAbout(data.about) &&
+    (data.queryId === null || (typeof data.queryId === 'string' && /^[\w-]{1,64}$/.test(data.queryId))) &&
+    (data.error === null || (typeof data.error === 'string' && data.error.length <= 500)) &&
+    isValidPageBudget(data.budget),
+  __batchLocationResponse: (data) =>
+    typeof data.requestId === 'string' &&
+    ['ok', 'unsupported', 'rate_limited', 'error'].includes(data.status) &&
+    Boolean(data.results) && typeof data.results === 'object' && !Array.isArray(data.results) &&
+    Object.values(data.results).every(isValidBatchResult) &&
+    (data.error === null || (typeof data.error === 'string' && data.error.length <= 500)) &&
+    isValidPageBudget(data.budget) && typeof data.requested === 'boolean',
+  __batchSupport: (data) =>
+    typeof data.supported === 'boolean',
+  __rateLimitInfo: (data) =>
+    Number.isFinite(data.resetTime) && Number.isFinite(data.waitTime) && data.waitTime >= 0,
+  // Only the envelope; invalid users are dropped on their own (see handlePageMessage)
+  __harvestedLocations: (data) =>
+    Array.isArray(data.users) && data.users.length <= 1000
+};
+
+// Handle a message from the page script; malformed ones are rejected and logged
+function handlePageMessage(data) {
+  const validate = data && typeof data === 'object' && PAGE_MESSAGE_VALIDATORS[data.type];
+  if (!validate || !validate(data)) {
+    console.warn('Rejected malformed message from page script:', data);
     return;
   }
   
-  const now = Date.now();
-  const entry = {
-    location: location,
-    expiry: now + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
-    cachedAt: now
-  };
-
-  locationCache.set(username, entry);
-  
-  // Debounce saves - only save every 5 seconds
-  if (!saveCache.timeout) {
-    saveCache.timeout = setTimeout(async () => {
-      await saveCache();
-      saveCache.timeout = null;
-    }, 5000);
+  if (data.type === '__locationResponse') {
+    const request = pendingPageRequests.get(data.requestId);
+    if (!request || request.screenName !== data.screenName) {
+      console.warn('Rejected unexpected lookup response from page script:', data);
+      return;
+    }
+    request.resolve({
+      status: data.status,
+      location: data.location,
+      about: data.about,
+      rateLimit: data.status === 'rate_limited' ? lastRateLimitInfo : null,
+      queryId: data.queryId,
+      error: data.error,
+      budget: data.budget
+    });
+  } else if (data.type === '__batchLocationResponse') {
+    const request = pendingPageRequests.get(data.requestId);
+    if (!request || !request.screenNames ||
+        !Object.keys(data.results).every(screenName => request.screenNames.includes(screenName))) {
+      console.warn('Rejected unexpected batch response from page script:', data);
+      return;
+    }
+    request.resolve({
+      status: data.status,
+      results: data.results,
+      rateLimit: data.status === 'rate_limited' ? lastRateLimitInfo : null,
+      error: data.error,
+      budget: data.budget,
+      requested: data.requested
+    });
+  } else if (data.type === '__batchSupport') {
+    // Whether this tab can run batch lookups (see checkBatchSupport in pageScript.js)
+    if (chrome.runtime?.id) {
+      chrome.runtime.sendMessage({ type: 'batchSupport', supported: data.supported }).catch(() => {});
+    }
+  } else if (data.type === '__rateLimitInfo') {
+    // Remembered and passed on to the background worker with the lookup that hit the limit
+    lastRateLimitInfo = {
+      resetTime: data.resetTime,
+      waitTime: data.waitTime
+    };
+  } else if (data.type === '__harvestedLocations') {
+    // One odd account (e.g. a legacy screen name longer than 15 characters) shouldn't cost the rest
+    const users = data.users.filter(isValidHarvestedUser);
+    if (users.length < data.users.length) {
+      console.warn(`Dropped ${data.users.length - users.length} malformed harvested accounts from page script`);
+    }
+    forwardHarvestedLocations(users);
   }
 }
 
-// Inject script into page context to access fetch with proper cookies
-function injectPageScript() {
-  const script = document.createElement('script');
-  script.src = chrome.runtime.getURL('pageScript.js');
-  script.onload = function() {
-    this.remove();
-  };
-  (document.head || document.documentElement).appendChild(script);
-  
-  // Listen for rate limit info from page script
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (event.data && event.data.type === '__rateLimitInfo') {
-      rateLimitResetTime = event.data.resetTime;
-      const waitTime = event.data.waitTime;
-      const minutes = Math.ceil(waitTime / 1000 / 60);
-      console.log(`Rate limit detected. Will resume requests in ${minutes} minutes`);
-      
-      // Show notification
-      showRateLimitToast(minutes);
-    }
+// Pass locations the page script found in X's own responses on to the worker's cache,
+// skipping accounts this tab already knows
+function forwardHarvestedLocations(users) {
+  if (!extensionEnabled || !Array.isArray(users) || !chrome.runtime?.id) return;
+  const now = Date.now();
+  const unknown = users.filter(user => {
+    const cached = locationCache.get(user?.screenName);
+    return !cached || cached.expiry <= now || cached.location !== user.location;
   });
+  if (unknown.length > 0) {
+    chrome.runtime.sendMessage({ type: 'harvestLocations', users: unknown }).catch(() => {});
+  }
 }
 
-// Show a discreet toast notification for rate limits
-function showRateLimitToast(minutes) {
-  // Don't show if already visible
-  if (document.getElementById('twitter-location-rate-limit-toast')) return;
-
+// Show a discreet toast notification in the bottom right corner (bottom: offset in px,
+// so different toasts don't cover each other)
+function createToast(id, message, bottom = 20) {
   const toast = document.createElement('div');
-  toast.id = 'twitter-location-rate-limit-toast';
+  toast.id = id;
   toast.style.cssText = `
     position: fixed;
-    bottom: 20px;
+    bottom: ${bottom}px;
     right: 20px;
     background-color: rgba(29, 155, 240, 0.9); /* Twitter Blue */
     color: white;
@@ -297,156 +607,196 @@ function showRateLimitToast(minutes) {
     document.head.appendChild(style);
   }
 
-  const message = minutes > 1
-    ? `Extension paused for ~${minutes} mins due to Twitter limits`
-    : `Extension paused momentarily due to Twitter limits`;
-
   const iconUrl = chrome.runtime.getURL('icon.png');
 
   toast.innerHTML = `
     <img src="${iconUrl}" style="width: 20px; height: 20px; border-radius: 4px;" alt="Logo" />
-    <span>${message}</span>
+    <span></span>
     <button style="background: none; border: none; color: white; cursor: pointer; padding: 4px; display: flex; align-items: center; justify-content: center; opacity: 0.8; font-size: 18px;">&times;</button>
   `;
+  // Set as text: messages can contain account locations
+  toast.querySelector('span').textContent = message;
 
   // Close button handler
-  toast.querySelector('button').onclick = () => {
-    toast.style.opacity = '0';
-    toast.style.transform = 'translateY(10px)';
-    toast.style.transition = 'all 0.2s';
-    setTimeout(() => toast.remove(), 200);
-  };
+  toast.querySelector('button').onclick = () => dismissToast(toast);
 
   document.body.appendChild(toast);
+  return toast;
+}
+
+// Fade out and remove a toast
+function dismissToast(toast) {
+  toast.style.opacity = '0';
+  toast.style.transform = 'translateY(10px)';
+  toast.style.transition = 'all 0.2s';
+  setTimeout(() => toast.remove(), 200);
+}
+
+// Show a discreet toast notification for rate limits
+function showRateLimitToast(minutes, budget = null) {
+  // Don't show if already visible
+  if (document.getElementById('twitter-location-rate-limit-toast')) return;
+
+  let message = minutes > 1
+    ? `Extension paused for ~${minutes} mins due to Twitter limits`
+    : `Extension paused momentarily due to Twitter limits`;
+  if (budget) {
+    message += ` (${formatRateLimitBudget(budget)})`;
+  }
+
+  createToast('twitter-location-rate-limit-toast', message);
+}
+
+// Describe a rate-limit budget, e.g. "142/150 left, resets 14:05"
+function formatRateLimitBudget(budget) {
+  const reset = new Date(budget.resetTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${budget.remaining}/${budget.limit} left, resets ${reset}`;
 }
 
 // Hide the rate limit toast
 function hideRateLimitToast() {
   const toast = document.getElementById('twitter-location-rate-limit-toast');
   if (toast) {
-    toast.style.opacity = '0';
-    toast.style.transform = 'translateY(10px)';
-    toast.style.transition = 'all 0.2s';
-    setTimeout(() => toast.remove(), 200);
+    dismissToast(toast);
   }
 }
 
-// Process request queue with rate limiting
-async function processRequestQueue() {
-  if (isProcessingQueue || requestQueue.length === 0) {
-    return;
-  }
-  
-  // Check if we're rate limited
-  if (rateLimitResetTime > 0) {
-    const now = Math.floor(Date.now() / 1000);
-    if (now < rateLimitResetTime) {
-      const waitTime = (rateLimitResetTime - now) * 1000;
-      console.log(`Rate limited. Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes...`);
-      setTimeout(processRequestQueue, Math.min(waitTime, 60000)); // Check every minute max
-      return;
-    } else {
-      // Rate limit expired, reset
-      rateLimitResetTime = 0;
-      // Hide the warning toast if it's visible
-      hideRateLimitToast();
-    }
-  }
-  
-  isProcessingQueue = true;
-  
-  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    
-    // Wait if needed to respect dynamic rate limit
-    if (timeSinceLastRequest < currentRequestInterval) {
-      await new Promise(resolve => setTimeout(resolve, currentRequestInterval - timeSinceLastRequest));
-    }
+// Alert about a watched account's new location; stays until dismissed
+function showWatchAlert(screenName, previousLocation, location) {
+  const existing = document.getElementById('twitter-location-watch-toast');
+  if (existing) existing.remove();
+
+  createToast('twitter-location-watch-toast',
+    `👁 Watched account @${screenName} changed location: ${previousLocation || 'none'} → ${location || 'none'}`, 132);
+}
+
+// Show a short-lived message (e.g. the result of a refresh), above the rate limit toast
+function showInfoToast(message) {
+  const existing = document.getElementById('twitter-location-info-toast');
+  if (existing) existing.remove();
+
+  const toast = createToast('twitter-location-info-toast', message, 76);
+  setTimeout(() => {
+    if (toast.isConnected) dismissToast(toast);
+  }, 5000);
+}
+
+// Run a lookup in the page context on behalf of the background worker (queryId: the last
+// AboutAccountQuery ID known to work, used until the page script learns a newer one).
+// Resolves with { status, location, about, rateLimit, queryId, error, budget }, where status is the
+// page script's outcome or 'timeout' and budget the response's rate-limit headers; caching,
+// backoff, pacing and endpoint health are handled by the worker.
+function makeLocationRequest(screenName, queryId = null) {
+  return new Promise((resolve) => {
+    const requestId = crypto.randomUUID();
     
-    const { screenName, resolve, reject } = requestQueue.shift(); 
-    activeRequests++;
-    lastRequestTime = Date.now();
+    // Answered by handlePageMessage, or times out after 10 seconds
+    // (also when the page script's channel isn't up yet)
+    const timeout = setTimeout(() => {
+      pendingPageRequests.delete(requestId);
+      resolve({ status: 'timeout', location: null, about: null, rateLimit: null, queryId: null, error: null, budget: null });
+    }, 10000);
+    pendingPageRequests.set(requestId, {
+      screenName,
+      resolve: (response) => {
+        clearTimeout(timeout);
+        pendingPageRequests.delete(requestId);
+        resolve(response);
+      }
+    });
     
-    // Make the request
-    makeLocationRequest(screenName)
-      .then(location => {
-        resolve(location);
-      })
-      .catch(error => {
-        reject(error);
-      })
-      .finally(() => {
-        activeRequests--;
-        // Continue processing queue
-        setTimeout(processRequestQueue, 200);
+    if (pagePort) {
+      pagePort.postMessage({
+        type: '__fetchLocation',
+        screenName,
+        queryId,
+        requestId
       });
-  }
-  
-  isProcessingQueue = false;
+    }
+  });
 }
 
-// Make actual API request
-function makeLocationRequest(screenName) {
-  return new Promise((resolve, reject) => {
-    const requestId = Date.now() + Math.random();
+// Run a batch lookup in the page context on behalf of the background worker.
+// Resolves with { status, results, rateLimit, error, budget, requested }: results has the accounts
+// the batch could answer ({ status, location, about } by screen name); requested is false if no
+// request went out to X; status is 'timeout' if the page script didn't answer.
+function makeBatchLocationRequest(screenNames) {
+  return new Promise((resolve) => {
+    const requestId = crypto.randomUUID();
     
-    // Listen for response via postMessage
-    const handler = (event) => {
-      // Only accept messages from the page (not from extension)
-      if (event.source !== window) return;
-      
-      if (event.data && 
-          event.data.type === '__locationResponse' &&
-          event.data.screenName === screenName && 
-          event.data.requestId === requestId) {
-        window.removeEventListener('message', handler);
-        const location = event.data.location;
-        const isRateLimited = event.data.isRateLimited || false;
-        
-        // Only cache if not rate limited (don't cache failures due to rate limiting)
-        if (!isRateLimited) {
-          saveCacheEntry(screenName, location || null);
-          
-          // Successful request, slowly decrease interval if it's high
-          if (currentRequestInterval > INITIAL_REQUEST_INTERVAL) {
-             currentRequestInterval = Math.max(INITIAL_REQUEST_INTERVAL, currentRequestInterval - 100);
-             console.log(`Decreasing request interval to ${currentRequestInterval}ms`);
-          }
-        } else {
-          console.log(`Not caching null for ${screenName} due to rate limit`);
-          // Rate limited! Increase interval significantly
-          currentRequestInterval = Math.min(MAX_REQUEST_INTERVAL, currentRequestInterval * 2);
-          console.log(`Rate limited (soft)! Increasing request interval to ${currentRequestInterval}ms`);
-        }
-        
-        resolve(location || null);
+    const timeout = setTimeout(() => {
+      pendingPageRequests.delete(requestId);
+      resolve({ status: 'timeout', results: {}, rateLimit: null, error: null, budget: null, requested: true });
+    }, 15000);
+    pendingPageRequests.set(requestId, {
+      screenNames,
+      resolve: (response) => {
+        clearTimeout(timeout);
+        pendingPageRequests.delete(requestId);
+        resolve(response);
       }
-    };
-    window.addEventListener('message', handler);
+    });
     
-    // Send fetch request to page script via postMessage
-    window.postMessage({
-      type: '__fetchLocation',
-      screenName,
-      requestId
-    }, '*');
-    
-    // Timeout after 10 seconds
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      // Don't cache timeout failures - allow retry
-      console.log(`Request timeout for ${screenName}, not caching`);
-      resolve(null);
-    }, 10000);
+    if (pagePort) {
+      pagePort.postMessage({
+        type: '__fetchLocations',
+        screenNames,
+        requestId
+      });
+    }
   });
 }
 
-// Function to query Twitter GraphQL API for user location (with rate limiting)
-async function getUserLocation(screenName) {
+// Report recently shown cached accounts to the worker
+function reportTouchedEntries() {
+  if (touchedScreenNames.size === 0 || !chrome.runtime?.id) return;
+  chrome.runtime.sendMessage({ type: 'touchEntries', screenNames: Array.from(touchedScreenNames) })
+    .catch(() => {});
+  touchedScreenNames.clear();
+}
+
+// Get an account's cache entry from the background worker, which queues a lookup if needed
+// (forceRefresh: skip the cache and look it up again as a priority request).
+// Resolves with null if the lookup failed, or LOOKUP_CANCELLED if it scrolled away before its turn.
+async function requestLocationEntry(screenName, forceRefresh = false) {
+  try {
+    const { entry, cancelled } = await chrome.runtime.sendMessage({
+      type: forceRefresh ? 'refreshLocation' : 'getLocation',
+      screenName
+    });
+    if (cancelled) {
+      return LOOKUP_CANCELLED;
+    }
+    if (!entry) {
+      // Lookup failed (timeout, rate limit, API error); not cached so it's retried later
+      return null;
+    }
+    locationCache.set(screenName, entry);
+    return entry;
+  } catch (error) {
+    // Worker unavailable (e.g. extension reloaded); treat as a failed lookup
+    console.log(`Location lookup for ${screenName} failed:`, error.message);
+    return null;
+  }
+}
+
+// Function to query Twitter GraphQL API for user location (queued and rate limited by the background worker)
+// Resolves with the location, null, or LOOKUP_CANCELLED.
+async function getUserLocation(screenName, forceRefresh = false) {
+  // Drop entries that expired while this tab was open (negative results expire within days)
+  const expiry = locationCache.get(screenName)?.expiry;
+  if (expiry && expiry <= Date.now()) {
+    locationCache.delete(screenName);
+  }
+  
   // Check cache first
-  if (locationCache.has(screenName)) {
+  if (locationCache.has(screenName) && !forceRefresh) {
     const cached = locationCache.get(screenName);
+    touchedScreenNames.add(screenName);
+    if (cached?.harvested && !harvestedHits.has(screenName)) {
+      harvestedHits.add(screenName);
+      console.log(`Location of ${screenName} came from X's own responses (${harvestedHits.size} lookups saved in this tab)`);
+    }
     
     // Handle object structure
     const location = (typeof cached === 'object' && cached !== null) ? cached.location : cached;
@@ -454,15 +804,90 @@ async function getUserLocation(screenName) {
     return location;
   }
   
-  console.log(`Queueing API request for ${screenName}`);
-  // Queue the request
-  return new Promise((resolve, reject) => {
-    // Add timestamp for priority queue handling
-    requestQueue.push({ screenName, resolve, reject, timestamp: Date.now() });
-    processRequestQueue();
+  const entry = await requestLocationEntry(screenName, forceRefresh);
+  if (entry === LOOKUP_CANCELLED) return entry;
+  return entry ? entry.location : null;
+}
+
+// Look an account up again (bypassing the cache), redraw it everywhere on the page
+// and tell the user whether its location changed
+async function refreshAccountLocation(screenName) {
+  const hadEntry = locationCache.has(screenName);
+  const previous = getCachedLocation(screenName);
+  showInfoToast(`Refreshing @${screenName}...`);
+
+  const entry = await requestLocationEntry(screenName, true);
+  if (!entry || entry === LOOKUP_CANCELLED) {
+    showInfoToast(`Couldn't refresh @${screenName} right now`);
+    return;
+  }
+
+  rerenderAccount(screenName);
+  if (!hadEntry) {
+    showInfoToast(entry.location
+      ? `@${screenName} is based in ${entry.location}`
+      : `@${screenName} has no location`);
+  } else if (entry.location !== previous) {
+    showInfoToast(`@${screenName} location changed: ${previous || 'none'} → ${entry.location || 'none'}`);
+  } else {
+    showInfoToast(entry.location
+      ? `@${screenName} is still based in ${entry.location}`
+      : `@${screenName} still has no location`);
+  }
+}
+
+// Redraw every instance of an account on the page after its cache entry changed
+function rerenderAccount(screenName) {
+  closeAccountMenu();
+  hideAccountHoverCard();
+
+  // Hide or restore posts according to the new location
+  applyFilterRules();
+
+  document.querySelectorAll('[data-flag-added="true"], [data-flag-added="failed"]').forEach(element => {
+    if (getElementScreenName(element) !== screenName) return;
+    removeFlag(element);
+    delete element.dataset.flagAdded;
+    addFlagToUsername(element, screenName).catch(() => {});
   });
 }
 
+// Get a cached location without queueing a request (null if unknown or not cached)
+function getCachedLocation(screenName) {
+  const cached = locationCache.get(screenName);
+  if (cached === undefined) return null;
+  return (typeof cached === 'object' && cached !== null) ? cached.location : cached;
+}
+
+// Get the handle for an observed element (set up front for tweet authors, extracted otherwise)
+function getElementScreenName(element) {
+  return element.dataset.twitterScreenName || extractUsername(element);
+}
+
+// Find every author inside a tweet: the retweeter ("X reposted"), the tweet's author
+// and the author of a quoted tweet. Each gets its own element to flag.
+function getTweetAuthorElements(article) {
+  const authors = [];
+
+  // Retweeter: the social context line links to their profile
+  const socialContext = article.querySelector('[data-testid="socialContext"]');
+  const socialLink = socialContext ? socialContext.closest('a[href^="/"]') : null;
+  if (socialLink && socialLink.parentElement) {
+    const match = socialLink.getAttribute('href').match(/^\/([A-Za-z0-9_]{1,15})$/);
+    if (match && !RESERVED_ROUTES.includes(match[1])) {
+      authors.push({ element: socialLink.parentElement, role: 'retweeter', screenName: match[1] });
+    }
+  }
+
+  // Author and quoted author each have their own User-Name block
+  article.querySelectorAll('[data-testid="User-Name"]').forEach(userName => {
+    if (userName.closest('article[data-testid="tweet"]') !== article) return;
+    authors.push({ element: userName, role: isQuotedTweetElement(userName) ? 'quoted' : 'author', screenName: null });
+  });
+
+  return authors;
+}
+
 // Function to extract username from various Twitter UI elements
 function extractUsername(element) {
   // Try data-testid="UserName" or "User-Name" first (most reliable)
@@ -579,6 +1004,33 @@ function findHandleSection(container, screenName) {
   });
 }
 
+// Find the container holding the display name and @handle.
+// Tweets and profiles have a UserName/User-Name element; user list cells (followers,
+// following) don't, so there we use the closest ancestor holding both profile links.
+function findUserNameContainer(usernameElement, screenName) {
+  // Tweet authors are observed on their User-Name block (or the retweet line) directly
+  if (usernameElement.matches('[data-testid="UserName"], [data-testid="User-Name"]') ||
+      usernameElement.dataset.authorRole === 'retweeter') {
+    return usernameElement;
+  }
+
+  const userNameContainer = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  if (userNameContainer || usernameElement.dataset.testid !== 'UserCell') {
+    return userNameContainer;
+  }
+
+  const handleLink = Array.from(usernameElement.querySelectorAll(`a[href="/${screenName}"]`))
+    .find(link => link.textContent?.trim() === `@${screenName}`);
+  let container = handleLink ? handleLink.parentElement : null;
+  while (container && container !== usernameElement) {
+    if (container.querySelectorAll(`a[href="/${screenName}"]`).length > 1) {
+      return container;
+    }
+    container = container.parentElement;
+  }
+  return null;
+}
+
 // Create loading shimmer placeholder
 function createLoadingShimmer() {
   const shimmer = document.createElement('span');
@@ -657,11 +1109,259 @@ function addHideButton(tweetContainer, messageContainer, children) {
   }
 }
 
-// Create blacklist toggle button
+// Block the location (blacklist mode) or stop allowing it (allowlist mode)
+function toggleCountryRule(location) {
+  if (filterMode === 'allowlist') {
+    // Entries covering this location (a country, or a region group that contains it)
+    const matchingEntries = allowedCountries.filter(country => locationMatchesEntries(location, [country]));
+    if (matchingEntries.length === 0) {
+      showInfoToast(`${location} isn't in your allowlist, so there's nothing to remove`);
+      return;
+    }
+
+    if (confirm(`Stop allowing posts from ${location}? This removes: ${matchingEntries.join(', ')}`)) {
+      chrome.storage.local.get(ALLOWLIST_KEY, (result) => {
+        const currentList = result[ALLOWLIST_KEY] || [];
+        const newList = currentList.filter(country => !matchingEntries.includes(country));
+        if (newList.length !== currentList.length) {
+          chrome.storage.local.set({ [ALLOWLIST_KEY]: newList }, () => {
+            console.log(`Removed ${matchingEntries.join(', ')} from allowlist`);
+          });
+        }
+      });
+    }
+    return;
+  }
+
+  // Confirm blocking
+  if (confirm(`Block all posts from ${location}?`)) {
+    // Add to blacklist
+    chrome.storage.local.get(BLACKLIST_KEY, (result) => {
+      const currentList = result[BLACKLIST_KEY] || [];
+      if (!locationMatchesEntries(location, currentList)) {
+        const newList = [...currentList, location];
+        chrome.storage.local.set({ [BLACKLIST_KEY]: newList }, () => {
+          console.log(`Added ${location} to blacklist`);
+          // Trigger reprocessing will happen via storage listener
+        });
+      }
+    });
+  }
+}
+
+// Get the per-account override for a handle ('show', 'hide' or null)
+function getAccountOverride(screenName) {
+  if (!screenName) return null;
+  return accountOverrides[screenName.toLowerCase()] || null;
+}
+
+// Set or clear ('null') the per-account override for a handle
+function setAccountOverride(screenName, override) {
+  const key = screenName.toLowerCase();
+  chrome.storage.local.get(OVERRIDES_KEY, (result) => {
+    const overrides = result[OVERRIDES_KEY] || {};
+    if (override) {
+      overrides[key] = override;
+    } else {
+      delete overrides[key];
+    }
+    chrome.storage.local.set({ [OVERRIDES_KEY]: overrides }, () => {
+      console.log(`Override for @${screenName}:`, override || 'cleared');
+      // Reprocessing will happen via storage listener
+    });
+  });
+}
+
+function isWatched(screenName) {
+  return watchedAccounts.includes(screenName.toLowerCase());
+}
+
+// Add or remove an account from the location change watchlist
+function setWatched(screenName, watched) {
+  const key = screenName.toLowerCase();
+  chrome.storage.local.get(WATCHLIST_KEY, (result) => {
+    const watchlist = (result[WATCHLIST_KEY] || []).filter(handle => handle !== key);
+    if (watched) watchlist.push(key);
+    chrome.storage.local.set({ [WATCHLIST_KEY]: watchlist }, () => {
+      showInfoToast(watched
+        ? `Watching @${screenName}: you'll be notified when their location changes`
+        : `Stopped watching @${screenName}`);
+    });
+  });
+}
+
+// Close the account menu if it's open
+function closeAccountMenu() {
+  const menu = document.getElementById('twitter-location-account-menu');
+  if (menu) menu.remove();
+  document.removeEventListener('click', closeAccountMenu, true);
+}
+
+// Show the account menu (country rule + per-account overrides) below the menu button
+function showAccountMenu(anchor, screenName, location) {
+  closeAccountMenu();
+
+  const menu = document.createElement('div');
+  menu.id = 'twitter-location-account-menu';
+  const rect = anchor.getBoundingClientRect();
+  menu.style.cssText = `position: fixed; top: ${rect.bottom + 6}px; left: ${rect.left}px; z-index: 99999; min-width: 220px; padding: 4px 0; background-color: rgb(255, 255, 255); color: rgb(15, 20, 25); border-radius: 12px; box-shadow: rgba(101, 119, 134, 0.2) 0px 0px 15px, rgba(101, 119, 134, 0.15) 0px 0px 3px 1px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 14px;`;
+
+  const override = getAccountOverride(screenName);
+  // In allowlist mode an account may be shown only because of an override; then there's
+  // no allowlist entry to remove and the country item is left out
+  const hasCountryRule = filterMode !== 'allowlist' || locationMatchesEntries(location, allowedCountries);
+  const items = [
+    hasCountryRule && {
+      label: filterMode === 'allowlist' ? `Stop allowing ${location}` : `Block all posts from ${location}`,
+      onClick: () => toggleCountryRule(location)
+    },
+    {
+      label: 'Refresh location',
+      onClick: () => refreshAccountLocation(screenName)
+    },
+    {
+      label: `${isWatched(screenName) ? '✓ ' : ''}Watch for location changes`,
+      onClick: () => setWatched(screenName, !isWatched(screenName))
+    },
+    {
+      label: `${override === 'show' ? '✓ ' : ''}Always show @${screenName}`,
+      onClick: () => setAccountOverride(screenName, override === 'show' ? null : 'show')
+    },
+    {
+      label: `${override === 'hide' ? '✓ ' : ''}Always hide @${screenName}`,
+      onClick: () => setAccountOverride(screenName, override === 'hide' ? null : 'hide')
+    }
+  ];
+
+  for (const item of items.filter(Boolean)) {
+    const menuItem = document.createElement('div');
+    menuItem.textContent = item.label;
+    menuItem.style.cssText = 'padding: 10px 16px; cursor: pointer; font-weight: 500; white-space: nowrap;';
+    menuItem.onmouseover = () => menuItem.style.backgroundColor = 'rgba(15, 20, 25, 0.05)';
+    menuItem.onmouseout = () => menuItem.style.backgroundColor = 'transparent';
+    menuItem.onclick = (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      closeAccountMenu();
+      item.onClick();
+    };
+    menu.appendChild(menuItem);
+  }
+
+  document.body.appendChild(menu);
+  // Close on the next click anywhere else
+  setTimeout(() => document.addEventListener('click', closeAccountMenu, true), 0);
+}
+
+// Format a timestamp (ms) or date string as e.g. "Mar 2021"
+function formatMonthYear(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+}
+
+// Hide the account hover card if it's open
+function hideAccountHoverCard() {
+  const card = document.getElementById('twitter-location-hover-card');
+  if (card) card.remove();
+}
+
+// Show the "About this account" card for a cached account below the flag
+function showAccountHoverCard(anchor, screenName) {
+  hideAccountHoverCard();
+
+  const entry = locationCache.get(screenName);
+  if (!entry || typeof entry !== 'object') return;
+  const about = entry.about || {};
+
+  const rows = [];
+  if (entry.location) {
+    const flag = getCountryFlag(entry.location);
+    rows.push(['Based in', `${flag ? flag + ' ' : ''}${entry.location}`]);
+  }
+  // Most recent previous locations first
+  for (const change of (entry.history || []).slice(-3).reverse()) {
+    const previous = change.location || 'No location';
+    rows.push(['Previously', `${previous} (until ${new Date(change.until).toLocaleDateString()})`]);
+  }
+  if (about.locationAccurate === false) {
+    rows.push(['Location', '⚠️ May not be accurate (VPN or proxy)']);
+  }
+  if (about.connectedVia) {
+    const isMismatch = isLocationMismatch(entry.location, getConnectedViaLocation(about.connectedVia));
+    rows.push(['Connected via', `${isMismatch ? '⚠️ ' : ''}${about.connectedVia}`]);
+  }
+  if (about.usernameChanges !== null && about.usernameChanges !== undefined) {
+    const lastChange = about.lastUsernameChange ? formatMonthYear(about.lastUsernameChange) : null;
+    rows.push(['Username changes', `${about.usernameChanges}${lastChange ? ` (last ${lastChange})` : ''}`]);
+  }
+  if (about.createdAt) {
+    const joined = formatMonthYear(about.createdAt);
+    if (joined) rows.push(['Joined', joined]);
+  }
+  if (about.verifiedSince) {
+    rows.push(['Verified since', formatMonthYear(about.verifiedSince)]);
+  }
+  if (entry.cachedAt) {
+    rows.push(['Checked', new Date(entry.cachedAt).toLocaleDateString()]);
+  }
+
+  const card = document.createElement('div');
+  card.id = 'twitter-location-hover-card';
+  const rect = anchor.getBoundingClientRect();
+  card.style.cssText = `position: fixed; top: ${rect.bottom + 6}px; left: ${Math.max(8, rect.left - 20)}px; z-index: 99999; width: 280px; padding: 12px 16px; background-color: rgb(255, 255, 255); color: rgb(15, 20, 25); border-radius: 12px; box-shadow: rgba(101, 119, 134, 0.2) 0px 0px 15px, rgba(101, 119, 134, 0.15) 0px 0px 3px 1px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 14px; pointer-events: none;`;
+
+  const title = document.createElement('div');
+  title.textContent = `About @${screenName}`;
+  title.style.cssText = 'font-weight: 700; font-size: 15px; margin-bottom: 8px;';
+  card.appendChild(title);
+
+  for (const [label, value] of rows) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; justify-content: space-between; gap: 12px; padding: 3px 0;';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = label;
+    labelSpan.style.color = 'rgb(83, 100, 113)';
+
+    const valueSpan = document.createElement('span');
+    valueSpan.textContent = value;
+    valueSpan.style.cssText = 'font-weight: 500; text-align: right;';
+
+    row.appendChild(labelSpan);
+    row.appendChild(valueSpan);
+    card.appendChild(row);
+  }
+
+  if (!entry.about) {
+    const note = document.createElement('div');
+    note.textContent = 'More details appear after the next lookup.';
+    note.style.cssText = 'color: rgb(83, 100, 113); font-size: 13px; margin-top: 6px;';
+    card.appendChild(note);
+  }
+
+  document.body.appendChild(card);
+}
+
+// Open the hover card when the pointer rests on the flag
+function attachAccountHoverCard(flagSpan, screenName) {
+  let hoverTimer = null;
+
+  flagSpan.addEventListener('mouseenter', () => {
+    hoverTimer = setTimeout(() => showAccountHoverCard(flagSpan, screenName), 300);
+  });
+  flagSpan.addEventListener('mouseleave', () => {
+    clearTimeout(hoverTimer);
+    hideAccountHoverCard();
+  });
+}
+
+// Create the menu button next to the flag (block country, always show/hide this account)
 function createBlacklistButton(screenName, location) {
   const btn = document.createElement('button');
+  btn.setAttribute('data-twitter-blacklist-btn', 'true');
   btn.innerHTML = '+'; // Simple plus for now, could be an SVG
-  btn.title = `Add ${location} to blacklist`;
+  btn.title = `Block ${location} or always show/hide @${screenName}`;
   btn.style.cssText = 'background-color: transparent; border: 1px solid rgba(113, 118, 123, 0.5); color: rgb(113, 118, 123); width: 18px; height: 18px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; cursor: pointer; margin-left: 6px; font-size: 12px; line-height: 1; vertical-align: middle; padding: 0; transition: all 0.2s;';
   
   btn.onmouseover = () => {
@@ -679,26 +1379,378 @@ function createBlacklistButton(screenName, location) {
   btn.onclick = (e) => {
     e.stopPropagation();
     e.preventDefault();
-    
-    // Confirm blocking
-    if (confirm(`Block all posts from ${location}?`)) {
-      // Add to blacklist
-      chrome.storage.local.get(BLACKLIST_KEY, (result) => {
-        const currentList = result[BLACKLIST_KEY] || [];
-        if (!currentList.includes(location)) {
-          const newList = [...currentList, location];
-          chrome.storage.local.set({ [BLACKLIST_KEY]: newList }, () => {
-            console.log(`Added ${location} to blacklist`);
-            // Trigger reprocessing will happen via storage listener
-          });
-        }
-      });
-    }
+    showAccountMenu(btn, screenName, location);
   };
   
   return btn;
 }
 
+// Find the element to hide for a blocked account: its tweet, the quoted card, or its row
+// in a user list. Returns null when the embedded author policy says not to hide anything.
+function getHideContainer(usernameElement) {
+  const tweet = usernameElement.closest('article[data-testid="tweet"]');
+  if (!tweet) {
+    return usernameElement.closest('[data-testid="UserCell"]');
+  }
+
+  const role = usernameElement.dataset.authorRole || 'author';
+  if (role === 'author' || embeddedAuthorPolicy === 'any') {
+    return tweet;
+  }
+  if (role === 'quoted' && embeddedAuthorPolicy === 'quote') {
+    return usernameElement.closest('div[role="link"]');
+  }
+  return null;
+}
+
+// Get the country an account connects through from its "connected via" source
+// (e.g. "United States App Store"); null for sources without a country like "Web"
+function getConnectedViaLocation(connectedVia) {
+  if (!connectedVia) return null;
+  const location = connectedVia.replace(/\s+(App Store|Google Play( Store)?|Play Store)$/i, '').trim();
+  return resolveLocationCodes(location) ? location : null;
+}
+
+// Check whether the "based in" location and the "connected via" region disagree.
+// A region location (e.g. "Europe") agrees with any country inside it.
+function isLocationMismatch(location, connectedViaLocation) {
+  if (!location || !connectedViaLocation) return false;
+  const basedInCodes = resolveLocationCodes(location);
+  const connectedCodes = resolveLocationCodes(connectedViaLocation);
+  if (!basedInCodes || !connectedCodes) return false;
+  return !Array.from(connectedCodes).some(code => basedInCodes.has(code));
+}
+
+// Decide whether a post should be hidden under the current filter mode.
+// Per-account overrides win over the country rules; the "About this account" rules
+// (location mismatch, inaccurate location) apply on top of the country rules.
+// Returns the placeholder text to show, or null if the post should stay visible.
+function getHideReason(location, screenName, role = 'author') {
+  const override = getAccountOverride(screenName);
+  if (override === 'show') return null;
+  if (override === 'hide') return `Post hidden because you always hide @${screenName}`;
+
+  const subject = role === 'quoted' ? 'the quoted account'
+    : role === 'retweeter' ? 'the reposting account'
+    : 'account';
+
+  const cached = screenName ? locationCache.get(screenName) : null;
+  const countryReason = getCountryHideReason(location, subject, cached?.status);
+  if (countryReason) return countryReason;
+
+  const about = cached && typeof cached === 'object' ? cached.about : null;
+  if (!about) return null;
+
+  if (hideInaccurateLocation && about.locationAccurate === false) {
+    return `Post hidden because ${subject} location may be inaccurate (VPN or proxy)`;
+  }
+
+  if (hideLocationMismatch) {
+    const connectedViaLocation = getConnectedViaLocation(about.connectedVia);
+    if (isLocationMismatch(location, connectedViaLocation)) {
+      return `Post hidden because ${subject} is based in ${location} but connects via ${about.connectedVia}`;
+    }
+  }
+
+  return null;
+}
+
+// Country part of getHideReason: blacklist / allowlist. status is the cached entry's status;
+// only a confirmed 'no_location' counts as an unknown location, not a lookup that failed.
+function getCountryHideReason(location, subject, status) {
+  if (filterMode === 'allowlist') {
+    if (!location) {
+      return unknownLocationAction === 'hide' && status === 'no_location'
+        ? `Post hidden because ${subject} location is unknown`
+        : null;
+    }
+    const isAllowed = locationMatchesEntries(location, allowedCountries);
+    return isAllowed ? null : `Post hidden because ${subject} is from ${location} (not in allowlist)`;
+  }
+
+  if (!location) return null;
+
+  const isBlocked = locationMatchesEntries(location, blockedCountries);
+  return isBlocked ? `Post hidden because ${subject} is from ${location}` : null;
+}
+
+// Hide a tweet behind a placeholder with a "Show" button
+function hideTweet(tweetContainer, screenName, reason) {
+  // Replies on a conversation page collapse into one summary per thread instead
+  if (isGroupableReply(tweetContainer)) {
+    hideReplyInGroup(tweetContainer, screenName);
+    return;
+  }
+
+  // Hide children instead of clearing
+  const children = Array.from(tweetContainer.children);
+  children.forEach(child => child.style.display = 'none');
+  
+  const messageContainer = document.createElement('div');
+  messageContainer.setAttribute('data-twitter-block-message', 'true');
+  messageContainer.style.cssText = 'padding: 20px 16px; display: flex; align-items: center; justify-content: center; gap: 12px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background-color: transparent; color: rgb(113, 118, 123); font-size: 15px;';
+  
+  const textSpan = document.createElement('span');
+  textSpan.setAttribute('data-twitter-block-reason', 'true');
+  textSpan.textContent = reason;
+  
+  const showButton = document.createElement('button');
+  showButton.textContent = 'Show';
+  showButton.style.cssText = 'background-color: transparent; border: 1px solid rgb(83, 100, 113); color: rgb(29, 155, 240); font-weight: 700; border-radius: 9999px; padding: 4px 12px; cursor: pointer; font-size: 14px; transition: background-color 0.2s;';
+  
+  showButton.onmouseover = () => showButton.style.backgroundColor = 'rgba(29, 155, 240, 0.1)';
+  showButton.onmouseout = () => showButton.style.backgroundColor = 'transparent';
+  
+  showButton.onclick = (e) => {
+      e.stopPropagation(); // Prevent clicking the tweet
+      messageContainer.style.display = 'none'; // Don't remove, just hide
+      children.forEach(child => child.style.display = '');
+      
+      // Add a "Hide" button to the tweet header if not already present
+      addHideButton(tweetContainer, messageContainer, children);
+  };
+  
+  messageContainer.appendChild(textSpan);
+  messageContainer.appendChild(showButton);
+  
+  // Per-account exception, restores this account's posts everywhere
+  if (screenName) {
+    const alwaysShowButton = document.createElement('button');
+    alwaysShowButton.textContent = `Always show @${screenName}`;
+    alwaysShowButton.style.cssText = 'background-color: transparent; border: none; color: rgb(113, 118, 123); font-weight: 500; padding: 4px 8px; cursor: pointer; font-size: 13px; text-decoration: underline;';
+    alwaysShowButton.onclick = (e) => {
+      e.stopPropagation();
+      setAccountOverride(screenName, 'show');
+    };
+    messageContainer.appendChild(alwaysShowButton);
+  }
+  
+  tweetContainer.appendChild(messageContainer);
+  tweetContainer.setAttribute('data-twitter-blocked', 'true');
+  tweetContainer.dataset.twitterBlockedUser = screenName;
+}
+
+// Undo hideTweet: remove the placeholder and "Hide" button and restore the original content
+function unhideTweet(tweetContainer) {
+  // Only this container's own placeholder (a hidden quote card inside it has its own)
+  const messageContainer = tweetContainer.querySelector(':scope > [data-twitter-block-message]');
+  if (messageContainer) messageContainer.remove();
+
+  const hideButton = Array.from(tweetContainer.querySelectorAll('[data-twitter-hide-btn]'))
+    .find(button => button.closest('[data-twitter-blocked]') === tweetContainer);
+  if (hideButton) hideButton.remove();
+
+  const replySummary = tweetContainer.querySelector(':scope > [data-twitter-reply-summary]');
+  if (replySummary) replySummary.remove();
+
+  Array.from(tweetContainer.children).forEach(child => child.style.display = '');
+
+  const wasGrouped = tweetContainer.dataset.twitterReplyGroup === 'true';
+  tweetContainer.removeAttribute('data-twitter-blocked');
+  delete tweetContainer.dataset.twitterBlockedUser;
+  delete tweetContainer.dataset.twitterReplyGroup;
+  delete tweetContainer.dataset.twitterGroupExpanded;
+
+  if (wasGrouped) {
+    refreshReplyGroups();
+  }
+}
+
+// Re-hide hidden replies so they move between grouped and individual placeholders
+function regroupHiddenReplies() {
+  document.querySelectorAll('article[data-twitter-blocked]').forEach(article => {
+    const isGrouped = article.dataset.twitterReplyGroup === 'true';
+    if (isGrouped === isGroupableReply(article)) return;
+
+    const screenName = article.dataset.twitterBlockedUser;
+    const reasonSpan = article.querySelector(':scope > [data-twitter-block-message] [data-twitter-block-reason]');
+    const blockedElement = article.querySelector('[data-flag-added="blocked"]');
+    const reason = reasonSpan?.textContent || (blockedElement && getCachedHideReason(blockedElement)) || 'Post hidden';
+
+    unhideTweet(article);
+    hideTweet(article, screenName, reason);
+  });
+}
+
+// Get the status ID of a tweet from its timestamp link
+function getTweetStatusId(article) {
+  const timeLink = article.querySelector('a[href*="/status/"] time')?.closest('a');
+  const match = timeLink?.getAttribute('href').match(/\/status\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+// Check if a hidden tweet should join a collapsed reply group: a reply (not the focal
+// tweet or the thread above it) on a conversation page, with grouping switched on
+function isGroupableReply(tweetContainer) {
+  if (!groupHiddenReplies || getCurrentSurface() !== 'tweet') return false;
+  if (!tweetContainer.matches('article[data-testid="tweet"]')) return false;
+  if (!tweetContainer.closest('[data-testid="cellInnerDiv"]')) return false;
+
+  const pathMatch = window.location.pathname.match(/\/status\/(\d+)/);
+  const focalId = pathMatch ? pathMatch[1] : null;
+  if (!focalId || getTweetStatusId(tweetContainer) === focalId) return false;
+
+  // Replies come after the focal tweet; if it's been scrolled out of the DOM, everything left is a reply
+  const focalTweet = Array.from(document.querySelectorAll('article[data-testid="tweet"]'))
+    .find(article => getTweetStatusId(article) === focalId);
+  if (!focalTweet) return true;
+  return !!(focalTweet.compareDocumentPosition(tweetContainer) & Node.DOCUMENT_POSITION_FOLLOWING);
+}
+
+// Hide a reply without its own placeholder; refreshReplyGroups adds one summary per group
+function hideReplyInGroup(tweetContainer, screenName) {
+  Array.from(tweetContainer.children).forEach(child => child.style.display = 'none');
+  tweetContainer.setAttribute('data-twitter-blocked', 'true');
+  tweetContainer.dataset.twitterBlockedUser = screenName;
+  tweetContainer.dataset.twitterReplyGroup = 'true';
+  refreshReplyGroups();
+}
+
+// Group consecutive hidden replies (a run of conversation cells not interrupted by a
+// visible tweet or a thread separator) and show one "N replies hidden" summary per group
+function refreshReplyGroups() {
+  const groups = [];
+  let currentGroup = [];
+
+  document.querySelectorAll('[data-testid="cellInnerDiv"]').forEach(cell => {
+    const article = cell.querySelector('article[data-testid="tweet"]');
+    if (article && article.dataset.twitterReplyGroup === 'true') {
+      currentGroup.push(article);
+    } else if (currentGroup.length > 0) {
+      groups.push(currentGroup);
+      currentGroup = [];
+    }
+  });
+  if (currentGroup.length > 0) {
+    groups.push(currentGroup);
+  }
+
+  for (const group of groups) {
+    const [first, ...rest] = group;
+    const isExpanded = first.dataset.twitterGroupExpanded === 'true';
+
+    // Only the first reply of a group carries the summary
+    rest.forEach(article => {
+      const summary = article.querySelector(':scope > [data-twitter-reply-summary]');
+      if (summary) summary.remove();
+    });
+
+    let summary = first.querySelector(':scope > [data-twitter-reply-summary]');
+    if (!summary) {
+      summary = createReplySummary();
+      first.insertBefore(summary, first.firstChild);
+    }
+    summary.style.display = 'flex';
+
+    const count = group.length;
+    const replies = count === 1 ? 'reply' : 'replies';
+    // Groups also hold replies hidden by region groups, account overrides and the extra rules
+    summary.querySelector('span').textContent = isExpanded
+      ? `${count} ${replies} hidden by your filters (shown)`
+      : `${count} ${replies} hidden by your filters`;
+
+    const toggleButton = summary.querySelector('button');
+    toggleButton.textContent = isExpanded ? 'Hide' : 'Show';
+    toggleButton.onclick = (e) => {
+      e.stopPropagation(); // Prevent clicking the tweet
+      first.dataset.twitterGroupExpanded = isExpanded ? 'false' : 'true';
+      refreshReplyGroups();
+    };
+
+    // Show or hide every reply in the group together
+    group.forEach(article => {
+      article.dataset.twitterGroupExpanded = isExpanded ? 'true' : 'false';
+      Array.from(article.children).forEach(child => {
+        if (!child.hasAttribute('data-twitter-reply-summary')) {
+          child.style.display = isExpanded ? '' : 'none';
+        }
+      });
+    });
+  }
+}
+
+// Create the summary bar for a group of hidden replies
+function createReplySummary() {
+  const summary = document.createElement('div');
+  summary.setAttribute('data-twitter-reply-summary', 'true');
+  summary.style.cssText = 'padding: 12px 16px; display: flex; align-items: center; justify-content: center; gap: 8px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background-color: transparent; color: rgb(113, 118, 123); font-size: 15px;';
+
+  const textSpan = document.createElement('span');
+  const separator = document.createTextNode('·');
+
+  const toggleButton = document.createElement('button');
+  toggleButton.style.cssText = 'background-color: transparent; border: none; color: rgb(29, 155, 240); font-weight: 700; padding: 0; cursor: pointer; font-size: 15px;';
+  toggleButton.onmouseover = () => toggleButton.style.textDecoration = 'underline';
+  toggleButton.onmouseout = () => toggleButton.style.textDecoration = 'none';
+
+  summary.appendChild(textSpan);
+  summary.appendChild(separator);
+  summary.appendChild(toggleButton);
+  return summary;
+}
+
+// Remove the flag and blacklist button from a processed element
+function removeFlag(usernameElement) {
+  usernameElement.querySelectorAll('[data-twitter-flag], [data-twitter-blacklist-btn]').forEach(el => el.remove());
+}
+
+// Get the hide reason for an element whose location is already known (null if not hidden)
+function getCachedHideReason(usernameElement) {
+  const screenName = getElementScreenName(usernameElement);
+  if (!screenName) return null;
+  if (!locationCache.has(screenName) && getAccountOverride(screenName) !== 'hide') return null;
+  return getHideReason(getCachedLocation(screenName), screenName, usernameElement.dataset.authorRole);
+}
+
+// Re-evaluate posts already on the page after the filter rules change:
+// restore posts that are no longer blocked and hide visible posts that now are
+function applyFilterRules() {
+  if (!extensionEnabled) return;
+
+  // Hidden posts: keep hidden while one of their blocked authors still hides this container
+  // (rules and embedded author policy both count), otherwise restore them
+  document.querySelectorAll('[data-twitter-blocked]').forEach(tweetContainer => {
+    const blockedElements = [tweetContainer, ...tweetContainer.querySelectorAll('[data-flag-added="blocked"]')]
+      .filter(element => element.dataset.flagAdded === 'blocked');
+
+    for (const element of blockedElements) {
+      const hideReason = getCachedHideReason(element);
+      if (hideReason && getHideContainer(element) === tweetContainer) {
+        // This container's own message, not one of a quoted tweet hidden inside it
+        const reasonSpan = tweetContainer.querySelector(':scope > [data-twitter-block-message] [data-twitter-block-reason]');
+        if (reasonSpan) reasonSpan.textContent = hideReason;
+        return;
+      }
+    }
+
+    console.log(`Restoring post from ${tweetContainer.dataset.twitterBlockedUser}`);
+    unhideTweet(tweetContainer);
+
+    // Clear the blocked markers so the authors get flagged (or hidden elsewhere) again
+    blockedElements.forEach(element => {
+      delete element.dataset.flagAdded;
+      const screenName = getElementScreenName(element);
+      if (screenName) {
+        addFlagToUsername(element, screenName).catch(() => {});
+      }
+    });
+  });
+
+  // Visible posts: hide the ones whose (cached) location is now blocked
+  document.querySelectorAll('[data-flag-added="true"], [data-flag-added="failed"]').forEach(usernameElement => {
+    const tweetContainer = getHideContainer(usernameElement);
+    if (!tweetContainer || tweetContainer.hasAttribute('data-twitter-blocked')) return;
+
+    const hideReason = getCachedHideReason(usernameElement);
+    if (!hideReason) return;
+
+    const screenName = getElementScreenName(usernameElement);
+    console.log(`Blocking post from ${screenName} after rule change`);
+    removeFlag(usernameElement);
+    hideTweet(tweetContainer, screenName, hideReason);
+    usernameElement.dataset.flagAdded = 'blocked';
+  });
+}
 
 // Function to add flag to username element
 async function addFlagToUsername(usernameElement, screenName) {
@@ -724,7 +1776,7 @@ async function addFlagToUsername(usernameElement, screenName) {
   processingUsernames.add(screenName);
   
   // Find User-Name container for shimmer placement
-  const userNameContainer = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  const userNameContainer = findUserNameContainer(usernameElement, screenName);
   
   // Create and insert loading shimmer
   const shimmerSpan = createLoadingShimmer();
@@ -760,32 +1812,32 @@ async function addFlagToUsername(usernameElement, screenName) {
   try {
     console.log(`Processing flag for ${screenName}...`);
 
-    // Get location
-    const location = await getUserLocation(screenName);
+    // Get location (not needed for accounts that are always hidden)
+    const location = getAccountOverride(screenName) === 'hide'
+      ? getCachedLocation(screenName)
+      : await getUserLocation(screenName);
     console.log(`Location for ${screenName}:`, location);
     
     // Remove shimmer
     if (shimmerInserted && shimmerSpan.parentNode) {
       shimmerSpan.remove();
     }
-    
-    if (!location) {
-      console.log(`No location found for ${screenName}, marking as failed`);
-      usernameElement.dataset.flagAdded = 'failed';
+
+    if (location === LOOKUP_CANCELLED) {
+      // Scrolled away before its turn; picked up again when it comes back into view
+      console.log(`Lookup for ${screenName} cancelled`);
+      delete usernameElement.dataset.flagAdded;
       return;
     }
+    
+    // Check against account overrides and blacklist / allowlist
+    const hideReason = getHideReason(location, screenName, usernameElement.dataset.authorRole);
 
-    // Check against blacklist
-    const locationLower = location.toLowerCase();
-    const isBlocked = blockedCountries.some(country =>
-      locationLower.includes(country.toLowerCase())
-    );
-
-    if (isBlocked) {
-      console.log(`Blocking post from ${screenName} (${location})`);
+    if (hideReason) {
+      console.log(`Blocking post from ${screenName} (${location || 'unknown location'})`);
       
-      // Find the tweet container
-      const tweetContainer = usernameElement.closest('article[data-testid="tweet"]');
+      // Find the tweet (or user cell) container
+      const tweetContainer = getHideContainer(usernameElement);
       if (tweetContainer) {
         // Check if already blocked to prevent double-hiding (nested overlays)
         if (tweetContainer.hasAttribute('data-twitter-blocked')) {
@@ -794,51 +1846,22 @@ async function addFlagToUsername(usernameElement, screenName) {
             return;
         }
 
-        // Hide children instead of clearing
-        const children = Array.from(tweetContainer.children);
-        children.forEach(child => child.style.display = 'none');
-        
-        const messageContainer = document.createElement('div');
-        messageContainer.style.cssText = 'padding: 20px 16px; display: flex; align-items: center; justify-content: center; gap: 12px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background-color: transparent; color: rgb(113, 118, 123); font-size: 15px;';
-        
-        const textSpan = document.createElement('span');
-        textSpan.textContent = `Post hidden because account is from ${location}`;
-        
-        const showButton = document.createElement('button');
-        showButton.textContent = 'Show';
-        showButton.style.cssText = 'background-color: transparent; border: 1px solid rgb(83, 100, 113); color: rgb(29, 155, 240); font-weight: 700; border-radius: 9999px; padding: 4px 12px; cursor: pointer; font-size: 14px; transition: background-color 0.2s;';
-        
-        showButton.onmouseover = () => showButton.style.backgroundColor = 'rgba(29, 155, 240, 0.1)';
-        showButton.onmouseout = () => showButton.style.backgroundColor = 'transparent';
-        
-        showButton.onclick = (e) => {
-            e.stopPropagation(); // Prevent clicking the tweet
-            messageContainer.style.display = 'none'; // Don't remove, just hide
-            children.forEach(child => child.style.display = '');
-            
-            // Add a "Hide" button to the tweet header if not already present
-            addHideButton(tweetContainer, messageContainer, children);
-        };
-        
-        messageContainer.appendChild(textSpan);
-        messageContainer.appendChild(showButton);
-        
-        tweetContainer.appendChild(messageContainer);
+        hideTweet(tweetContainer, screenName, hideReason);
         
         // Mark as blocked to avoid re-processing
         usernameElement.dataset.flagAdded = 'blocked';
-        tweetContainer.setAttribute('data-twitter-blocked', 'true');
-        
-        // Remove shimmer if it was inserted
-        if (shimmerInserted && shimmerSpan.parentNode) {
-          shimmerSpan.remove();
-        }
         return;
       } else {
-        console.log('Could not find tweet container to hide');
+        console.log(`Not hiding post for ${screenName} (no container, or embedded author policy keeps it visible)`);
       }
     }
 
+    if (!location) {
+      console.log(`No location found for ${screenName}, marking as failed`);
+      usernameElement.dataset.flagAdded = 'failed';
+      return;
+    }
+
   // Get flag emoji
   const flag = getCountryFlag(location);
   if (!flag) {
@@ -957,6 +1980,8 @@ async function addFlagToUsername(usernameElement, screenName) {
   flagSpan.style.display = 'inline';
   flagSpan.style.color = 'inherit';
   flagSpan.style.verticalAlign = 'middle';
+  flagSpan.style.cursor = 'default';
+  attachAccountHoverCard(flagSpan, screenName);
   
   // Use userNameContainer found above, or find it if not found
   const containerForFlag = userNameContainer || usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
@@ -1069,7 +2094,7 @@ async function addFlagToUsername(usernameElement, screenName) {
       // Also mark any other containers waiting for this username
       const waitingContainers = document.querySelectorAll(`[data-flag-added="waiting"]`);
       waitingContainers.forEach(container => {
-        const waitingUsername = extractUsername(container);
+        const waitingUsername = getElementScreenName(container);
         if (waitingUsername === screenName) {
           // Try to add flag to this container too
           addFlagToUsername(container, screenName).catch(() => {});
@@ -1098,39 +2123,87 @@ async function addFlagToUsername(usernameElement, screenName) {
   }
 }
 
-// Function to remove all flags (when extension is disabled)
+// Function to remove all flags and restore hidden posts (when extension or page is disabled)
 function removeAllFlags() {
-  const flags = document.querySelectorAll('[data-twitter-flag]');
+  const flags = document.querySelectorAll('[data-twitter-flag], [data-twitter-blacklist-btn]');
   flags.forEach(flag => flag.remove());
   
   // Also remove any loading shimmers
   const shimmers = document.querySelectorAll('[data-twitter-flag-shimmer]');
   shimmers.forEach(shimmer => shimmer.remove());
   
+  // Restore hidden posts
+  document.querySelectorAll('[data-twitter-blocked]').forEach(unhideTweet);
+  
   // Reset flag added markers
   const containers = document.querySelectorAll('[data-flag-added]');
   containers.forEach(container => {
     delete container.dataset.flagAdded;
   });
   
+  // Reset observed markers so the elements get picked up again when re-enabled
+  document.querySelectorAll('[data-observed]').forEach(container => {
+    visibilityObserver.unobserve(container);
+    delete container.dataset.observed;
+  });
+  
   console.log('Removed all flags');
 }
 
-// Check if the current page is the home feed
-function isHomePage() {
+// Top-level routes that are not user profiles
+const RESERVED_ROUTES = ['home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search', 'settings', 'bookmarks', 'lists', 'communities', 'hashtag', 'jobs', 'premium', 'tos', 'privacy', 'login', 'logout'];
+
+// Work out which surface (page type) the current route is
+function getCurrentSurface() {
   const path = window.location.pathname;
-  return path === '/home' || path === '/';
+
+  if (path === '/home' || path === '/') return 'home';
+  if (path.startsWith('/search') || path.startsWith('/explore') || path.startsWith('/hashtag')) return 'search';
+  if (path.startsWith('/notifications')) return 'notifications';
+  if (path.startsWith('/i/lists/')) return 'lists';
+
+  const match = path.match(/^\/([^\/]+)(\/.*)?$/);
+  if (!match || RESERVED_ROUTES.includes(match[1])) return null;
+
+  const subPath = match[2] || '';
+  if (/^\/status\/\d+\/quotes/.test(subPath)) return 'quotes';
+  if (/^\/status\/\d+/.test(subPath)) return 'tweet';
+  if (/^\/lists/.test(subPath)) return 'lists';
+  if (/^\/(followers|following|verified_followers|followers_you_follow)/.test(subPath)) return 'follows';
+  if (/^(\/(with_replies|media|likes|highlights|articles))?\/?$/.test(subPath)) return 'profile';
+
+  return null;
+}
+
+// Screen name of the profile being viewed (null if this isn't a profile page)
+function getProfileScreenName() {
+  if (getCurrentSurface() !== 'profile') return null;
+  const screenName = window.location.pathname.split('/')[1];
+  return SCREEN_NAME_PATTERN.test(screenName) ? screenName : null;
+}
+
+// Check if the extension should run on the current page
+function isCurrentPageEnabled() {
+  const surface = getCurrentSurface();
+  return !!surface && enabledSurfaces[surface] !== false;
+}
+
+// Check if an element is the author of a quote tweet embedded in another tweet
+// (the quote card has to be inside the element's own article, not around it)
+function isQuotedTweetElement(element) {
+  const quoteCard = element.closest('article[data-testid="tweet"] div[role="link"]');
+  return !!quoteCard && quoteCard.closest('article') === element.closest('article');
 }
 
 // Function to process all username elements on the page
 async function processUsernames() {
-  // Check if extension is enabled and we are on the home page
-  if (!extensionEnabled || !isHomePage()) {
+  // Check if extension is enabled and runs on this page
+  if (!extensionEnabled || !isCurrentPageEnabled()) {
     return;
   }
   
-  // Find all tweet/article containers and user cells
-  const containers = document.querySelectorAll('article[data-testid="tweet"], [data-testid="UserCell"], [data-testid="User-Names"], [data-testid="User-Name"]');
+  // Find all tweet/article containers, user cells and the profile header
+  const containers = document.querySelectorAll('article[data-testid="tweet"], [data-testid="UserCell"], [data-testid="User-Names"], [data-testid="User-Name"], [data-testid="UserName"]');
   
   console.log(`Processing ${containers.length} containers for usernames`);
   
@@ -1139,6 +2212,39 @@ async function processUsernames() {
   let skippedCount = 0;
   
   for (const container of containers) {
+    // Tweets: observe each author (retweeter, author, quoted author) separately
+    if (container.tagName === 'ARTICLE') {
+      for (const author of getTweetAuthorElements(container)) {
+        const element = author.element;
+        const status = element.dataset.flagAdded;
+        if ((status && status !== 'failed') || element.dataset.observed === 'true') {
+          skippedCount++;
+          continue;
+        }
+
+        // Skip embedded quoted tweets if that surface is switched off
+        if (author.role === 'quoted' && enabledSurfaces.quotedAuthors === false) {
+          continue;
+        }
+
+        foundCount++;
+        processedCount++;
+
+        element.dataset.authorRole = author.role;
+        if (author.screenName) {
+          element.dataset.twitterScreenName = author.screenName;
+        }
+        element.dataset.observed = 'true';
+        visibilityObserver.observe(element);
+      }
+      continue;
+    }
+
+    // User-Name blocks inside tweets are handled with their tweet above
+    if (container.closest('article[data-testid="tweet"]')) {
+      continue;
+    }
+
     // Skip if already processed or failed
     const status = container.dataset.flagAdded;
     if (status && status !== 'failed') {
@@ -1151,11 +2257,19 @@ async function processUsernames() {
       continue;
     }
 
+    // Profile header: its @handle isn't a link, so take the account from the URL
+    if (container.dataset.testid === 'UserName') {
+      const screenName = getProfileScreenName();
+      if (!screenName) continue;
+      container.dataset.twitterScreenName = screenName;
+    }
+
     // Check if it has a username structure before observing (optimization)
     // We don't extract the full username yet to save performance
-    const hasUserName = container.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+    const hasUserName = container.dataset.testid === 'UserName' ||
+      container.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
     
-    if (hasUserName || container.tagName === 'ARTICLE') {
+    if (hasUserName || container.dataset.testid === 'UserCell') {
       foundCount++;
       processedCount++;
       
@@ -1167,6 +2281,11 @@ async function processUsernames() {
     }
   }
   
+  // New cells may join or split groups of hidden replies
+  if (getCurrentSurface() === 'tweet') {
+    refreshReplyGroups();
+  }
+  
   if (foundCount > 0) {
     console.log(`Found ${foundCount} usernames, processing ${processedCount} new ones, skipped ${skippedCount} already processed`);
   } else {
@@ -1206,6 +2325,59 @@ function initObserver() {
   });
 }
 
+// Start processing the current page (observer + initial pass)
+function startProcessing() {
+  if (!observer) {
+    initObserver();
+  }
+  setTimeout(processUsernames, 2000);
+}
+
+// Stop processing: disconnect the observer and cancel pending lookups for observed elements
+function stopProcessing() {
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+
+  document.querySelectorAll('[data-observed="true"]').forEach(element => {
+    visibilityObserver.unobserve(element);
+    if (element.dataset.debounceTimer) {
+      clearTimeout(parseInt(element.dataset.debounceTimer));
+      delete element.dataset.debounceTimer;
+    }
+    delete element.dataset.observed;
+  });
+
+  // Lookups still queued for this page are no longer needed first
+  for (const element of pendingLookupElements.keys()) {
+    updateLookupVisibility(element, false);
+  }
+}
+
+// Start or stop processing when the SPA route changes
+function handleRouteChange() {
+  if (!extensionEnabled) return;
+
+  // X may keep the profile header when moving to another profile; start it over
+  document.querySelectorAll('[data-testid="UserName"][data-twitter-screen-name]').forEach(header => {
+    if (header.dataset.twitterScreenName === getProfileScreenName()) return;
+    visibilityObserver.unobserve(header);
+    removeFlag(header);
+    delete header.dataset.flagAdded;
+    delete header.dataset.observed;
+    delete header.dataset.twitterScreenName;
+  });
+
+  if (isCurrentPageEnabled()) {
+    console.log(`Page navigation detected (${getCurrentSurface()}), reprocessing usernames`);
+    startProcessing();
+  } else {
+    console.log('Page navigation detected, extension is off for this page');
+    stopProcessing();
+  }
+}
+
 // Main initialization
 async function init() {
   console.log('Twitter Location Flag extension initialized');
@@ -1216,6 +2388,20 @@ async function init() {
   // Load persistent cache
   await loadCache();
   
+  // Start/stop on navigation (Twitter uses SPA). Installed even while the extension is off,
+  // so it works once it's switched on in this tab (handleRouteChange checks the toggle).
+  let lastUrl = location.href;
+  new MutationObserver(() => {
+    const url = location.href;
+    if (url !== lastUrl) {
+      lastUrl = url;
+      handleRouteChange();
+    }
+  }).observe(document, { subtree: true, childList: true });
+  
+  // Report cache usage periodically
+  setInterval(reportTouchedEntries, 30000); // Every 30 seconds
+  
   // Only proceed if extension is enabled
   if (!extensionEnabled) {
     console.log('Extension is disabled');
@@ -1225,27 +2411,12 @@ async function init() {
   // Inject page script
   injectPageScript();
   
-  // Wait a bit for page to fully load
-  setTimeout(() => {
-    processUsernames();
-  }, 2000);
-  
-  // Set up observer for new content
-  initObserver();
-  
-  // Re-process on navigation (Twitter uses SPA)
-  let lastUrl = location.href;
-  new MutationObserver(() => {
-    const url = location.href;
-    if (url !== lastUrl) {
-      lastUrl = url;
-      console.log('Page navigation detected, reprocessing usernames');
-      setTimeout(processUsernames, 2000);
-    }
-  }).observe(document, { subtree: true, childList: true });
-  
-  // Save cache periodically
-  setInterval(saveCache, 30000); // Save every 30 seconds
+  // Set up observer for new content and process once the page has loaded
+  if (isCurrentPageEnabled()) {
+    startProcessing();
+  } else {
+    console.log(`Extension is off for this page (${getCurrentSurface() || 'unsupported'})`);
+  }
 }
 
 // Wait for page to load
@@ -0,0 +1,256 @@
+// ISO 3166-1 country and territory table
+// alpha2/alpha3 codes, common English name, and UN M49 region and subregion
+// (subregion uses the intermediate region where M49 defines one, e.g. "South America").
+// XK (Kosovo) is a user-assigned code, included because it is widely used.
+const COUNTRY_DATA = [
+  { alpha2: "AF", alpha3: "AFG", name: "Afghanistan", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "AX", alpha3: "ALA", name: "Åland Islands", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "AL", alpha3: "ALB", name: "Albania", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "DZ", alpha3: "DZA", name: "Algeria", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "AS", alpha3: "ASM", name: "American Samoa", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "AD", alpha3: "AND", name: "Andorra", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "AO", alpha3: "AGO", name: "Angola", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "AI", alpha3: "AIA", name: "Anguilla", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "AQ", alpha3: "ATA", name: "Antarctica", region: null, subregion: null },
+  { alpha2: "AG", alpha3: "ATG", name: "Antigua and Barbuda", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "AR", alpha3: "ARG", name: "Argentina", region: "Americas", subregion: "South America" },
+  { alpha2: "AM", alpha3: "ARM", name: "Armenia", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "AW", alpha3: "ABW", name: "Aruba", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "AU", alpha3: "AUS", name: "Australia", region: "Oceania", subregion: "Australia and New Zealand" },
+  { alpha2: "AT", alpha3: "AUT", name: "Austria", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "AZ", alpha3: "AZE", name: "Azerbaijan", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "BS", alpha3: "BHS", name: "Bahamas", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "BH", alpha3: "BHR", name: "Bahrain", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "BD", alpha3: "BGD", name: "Bangladesh", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "BB", alpha3: "BRB", name: "Barbados", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "BY", alpha3: "BLR", name: "Belarus", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "BE", alpha3: "BEL", name: "Belgium", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "BZ", alpha3: "BLZ", name: "Belize", region: "Americas", subregion: "Central America" },
+  { alpha2: "BJ", alpha3: "BEN", name: "Benin", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "BM", alpha3: "BMU", name: "Bermuda", region: "Americas", subregion: "Northern America" },
+  { alpha2: "BT", alpha3: "BTN", name: "Bhutan", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "BO", alpha3: "BOL", name: "Bolivia", region: "Americas", subregion: "South America" },
+  { alpha2: "BA", alpha3: "BIH", name: "Bosnia and Herzegovina", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "BW", alpha3: "BWA", name: "Botswana", region: "Africa", subregion: "Southern Africa" },
+  { alpha2: "BV", alpha3: "BVT", name: "Bouvet Island", region: "Americas", subregion: "South America" },
+  { alpha2: "BR", alpha3: "BRA", name: "Brazil", region: "Americas", subregion: "South America" },
+  { alpha2: "IO", alpha3: "IOT", name: "British Indian Ocean Territory", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "VG", alpha3: "VGB", name: "British Virgin Islands", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "BN", alpha3: "BRN", name: "Brunei", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "BG", alpha3: "BGR", name: "Bulgaria", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "BF", alpha3: "BFA", name: "Burkina Faso", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "BI", alpha3: "BDI", name: "Burundi", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "KH", alpha3: "KHM", name: "Cambodia", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "CM", alpha3: "CMR", name: "Cameroon", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "CA", alpha3: "CAN", name: "Canada", region: "Americas", subregion: "Northern America" },
+  { alpha2: "CV", alpha3: "CPV", name: "Cape Verde", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "BQ", alpha3: "BES", name: "Caribbean Netherlands", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "KY", alpha3: "CYM", name: "Cayman Islands", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "CF", alpha3: "CAF", name: "Central African Republic", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "TD", alpha3: "TCD", name: "Chad", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "CL", alpha3: "CHL", name: "Chile", region: "Americas", subregion: "South America" },
+  { alpha2: "CN", alpha3: "CHN", name: "China", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "CX", alpha3: "CXR", name: "Christmas Island", region: "Oceania", subregion: "Australia and New Zealand" },
+  { alpha2: "CC", alpha3: "CCK", name: "Cocos (Keeling) Islands", region: "Oceania", subregion: "Australia and New Zealand" },
+  { alpha2: "CO", alpha3: "COL", name: "Colombia", region: "Americas", subregion: "South America" },
+  { alpha2: "KM", alpha3: "COM", name: "Comoros", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "CG", alpha3: "COG", name: "Congo", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "CK", alpha3: "COK", name: "Cook Islands", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "CR", alpha3: "CRI", name: "Costa Rica", region: "Americas", subregion: "Central America" },
+  { alpha2: "HR", alpha3: "HRV", name: "Croatia", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "CU", alpha3: "CUB", name: "Cuba", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "CW", alpha3: "CUW", name: "Curaçao", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "CY", alpha3: "CYP", name: "Cyprus", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "CZ", alpha3: "CZE", name: "Czech Republic", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "CI", alpha3: "CIV", name: "Côte d'Ivoire", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "CD", alpha3: "COD", name: "Democratic Republic of the Congo", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "DK", alpha3: "DNK", name: "Denmark", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "DJ", alpha3: "DJI", name: "Djibouti", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "DM", alpha3: "DMA", name: "Dominica", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "DO", alpha3: "DOM", name: "Dominican Republic", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "EC", alpha3: "ECU", name: "Ecuador", region: "Americas", subregion: "South America" },
+  { alpha2: "EG", alpha3: "EGY", name: "Egypt", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "SV", alpha3: "SLV", name: "El Salvador", region: "Americas", subregion: "Central America" },
+  { alpha2: "GQ", alpha3: "GNQ", name: "Equatorial Guinea", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "ER", alpha3: "ERI", name: "Eritrea", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "EE", alpha3: "EST", name: "Estonia", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "SZ", alpha3: "SWZ", name: "Eswatini", region: "Africa", subregion: "Southern Africa" },
+  { alpha2: "ET", alpha3: "ETH", name: "Ethiopia", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "FK", alpha3: "FLK", name: "Falkland Islands", region: "Americas", subregion: "South America" },
+  { alpha2: "FO", alpha3: "FRO", name: "Faroe Islands", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "FJ", alpha3: "FJI", name: "Fiji", region: "Oceania", subregion: "Melanesia" },
+  { alpha2: "FI", alpha3: "FIN", name: "Finland", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "FR", alpha3: "FRA", name: "France", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "GF", alpha3: "GUF", name: "French Guiana", region: "Americas", subregion: "South America" },
+  { alpha2: "PF", alpha3: "PYF", name: "French Polynesia", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "TF", alpha3: "ATF", name: "French Southern Territories", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "GA", alpha3: "GAB", name: "Gabon", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "GM", alpha3: "GMB", name: "Gambia", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "GE", alpha3: "GEO", name: "Georgia", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "DE", alpha3: "DEU", name: "Germany", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "GH", alpha3: "GHA", name: "Ghana", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "GI", alpha3: "GIB", name: "Gibraltar", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "GR", alpha3: "GRC", name: "Greece", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "GL", alpha3: "GRL", name: "Greenland", region: "Americas", subregion: "Northern America" },
+  { alpha2: "GD", alpha3: "GRD", name: "Grenada", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "GP", alpha3: "GLP", name: "Guadeloupe", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "GU", alpha3: "GUM", name: "Guam", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "GT", alpha3: "GTM", name: "Guatemala", region: "Americas", subregion: "Central America" },
+  { alpha2: "GG", alpha3: "GGY", name: "Guernsey", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "GN", alpha3: "GIN", name: "Guinea", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "GW", alpha3: "GNB", name: "Guinea-Bissau", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "GY", alpha3: "GUY", name: "Guyana", region: "Americas", subregion: "South America" },
+  { alpha2: "HT", alpha3: "HTI", name: "Haiti", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "HM", alpha3: "HMD", name: "Heard Island and McDonald Islands", region: "Oceania", subregion: "Australia and New Zealand" },
+  { alpha2: "HN", alpha3: "HND", name: "Honduras", region: "Americas", subregion: "Central America" },
+  { alpha2: "HK", alpha3: "HKG", name: "Hong Kong", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "HU", alpha3: "HUN", name: "Hungary", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "IS", alpha3: "ISL", name: "Iceland", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "IN", alpha3: "IND", name: "India", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "ID", alpha3: "IDN", name: "Indonesia", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "IR", alpha3: "IRN", name: "Iran", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "IQ", alpha3: "IRQ", name: "Iraq", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "IE", alpha3: "IRL", name: "Ireland", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "IM", alpha3: "IMN", name: "Isle of Man", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "IL", alpha3: "ISR", name: "Israel", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "IT", alpha3: "ITA", name: "Italy", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "JM", alpha3: "JAM", name: "Jamaica", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "JP", alpha3: "JPN", name: "Japan", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "JE", alpha3: "JEY", name: "Jersey", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "JO", alpha3: "JOR", name: "Jordan", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "KZ", alpha3: "KAZ", name: "Kazakhstan", region: "Asia", subregion: "Central Asia" },
+  { alpha2: "KE", alpha3: "KEN", name: "Kenya", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "KI", alpha3: "KIR", name: "Kiribati", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "XK", alpha3: "XKX", name: "Kosovo", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "KW", alpha3: "KWT", name: "Kuwait", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "KG", alpha3: "KGZ", name: "Kyrgyzstan", region: "Asia", subregion: "Central Asia" },
+  { alpha2: "LA", alpha3: "LAO", name: "Laos", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "LV", alpha3: "LVA", name: "Latvia", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "LB", alpha3: "LBN", name: "Lebanon", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "LS", alpha3: "LSO", name: "Lesotho", region: "Africa", subregion: "Southern Africa" },
+  { alpha2: "LR", alpha3: "LBR", name: "Liberia", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "LY", alpha3: "LBY", name: "Libya", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "LI", alpha3: "LIE", name: "Liechtenstein", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "LT", alpha3: "LTU", name: "Lithuania", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "LU", alpha3: "LUX", name: "Luxembourg", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "MO", alpha3: "MAC", name: "Macao", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "MG", alpha3: "MDG", name: "Madagascar", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "MW", alpha3: "MWI", name: "Malawi", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "MY", alpha3: "MYS", name: "Malaysia", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "MV", alpha3: "MDV", name: "Maldives", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "ML", alpha3: "MLI", name: "Mali", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "MT", alpha3: "MLT", name: "Malta", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "MH", alpha3: "MHL", name: "Marshall Islands", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "MQ", alpha3: "MTQ", name: "Martinique", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "MR", alpha3: "MRT", name: "Mauritania", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "MU", alpha3: "MUS", name: "Mauritius", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "YT", alpha3: "MYT", name: "Mayotte", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "MX", alpha3: "MEX", name: "Mexico", region: "Americas", subregion: "Central America" },
+  { alpha2: "FM", alpha3: "FSM", name: "Micronesia", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "MD", alpha3: "MDA", name: "Moldova", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "MC", alpha3: "MCO", name: "Monaco", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "MN", alpha3: "MNG", name: "Mongolia", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "ME", alpha3: "MNE", name: "Montenegro", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "MS", alpha3: "MSR", name: "Montserrat", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "MA", alpha3: "MAR", name: "Morocco", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "MZ", alpha3: "MOZ", name: "Mozambique", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "MM", alpha3: "MMR", name: "Myanmar", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "NA", alpha3: "NAM", name: "Namibia", region: "Africa", subregion: "Southern Africa" },
+  { alpha2: "NR", alpha3: "NRU", name: "Nauru", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "NP", alpha3: "NPL", name: "Nepal", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "NL", alpha3: "NLD", name: "Netherlands", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "NC", alpha3: "NCL", name: "New Caledonia", region: "Oceania", subregion: "Melanesia" },
+  { alpha2: "NZ", alpha3: "NZL", name: "New Zealand", region: "Oceania", subregion: "Australia and New Zealand" },
+  { alpha2: "NI", alpha3: "NIC", name: "Nicaragua", region: "Americas", subregion: "Central America" },
+  { alpha2: "NE", alpha3: "NER", name: "Niger", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "NG", alpha3: "NGA", name: "Nigeria", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "NU", alpha3: "NIU", name: "Niue", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "NF", alpha3: "NFK", name: "Norfolk Island", region: "Oceania", subregion: "Australia and New Zealand" },
+  { alpha2: "KP", alpha3: "PRK", name: "North Korea", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "MK", alpha3: "MKD", name: "North Macedonia", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "MP", alpha3: "MNP", name: "Northern Mariana Islands", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "NO", alpha3: "NOR", name: "Norway", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "OM", alpha3: "OMN", name: "Oman", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "PK", alpha3: "PAK", name: "Pakistan", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "PW", alpha3: "PLW", name: "Palau", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "PS", alpha3: "PSE", name: "Palestine", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "PA", alpha3: "PAN", name: "Panama", region: "Americas", subregion: "Central America" },
+  { alpha2: "PG", alpha3: "PNG", name: "Papua New Guinea", region: "Oceania", subregion: "Melanesia" },
+  { alpha2: "PY", alpha3: "PRY", name: "Paraguay", region: "Americas", subregion: "South America" },
+  { alpha2: "PE", alpha3: "PER", name: "Peru", region: "Americas", subregion: "South America" },
+  { alpha2: "PH", alpha3: "PHL", name: "Philippines", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "PN", alpha3: "PCN", name: "Pitcairn Islands", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "PL", alpha3: "POL", name: "Poland", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "PT", alpha3: "PRT", name: "Portugal", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "PR", alpha3: "PRI", name: "Puerto Rico", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "QA", alpha3: "QAT", name: "Qatar", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "RO", alpha3: "ROU", name: "Romania", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "RU", alpha3: "RUS", name: "Russia", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "RW", alpha3: "RWA", name: "Rwanda", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "RE", alpha3: "REU", name: "Réunion", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "BL", alpha3: "BLM", name: "Saint Barthélemy", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "SH", alpha3: "SHN", name: "Saint Helena", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "KN", alpha3: "KNA", name: "Saint Kitts and Nevis", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "LC", alpha3: "LCA", name: "Saint Lucia", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "MF", alpha3: "MAF", name: "Saint Martin", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "PM", alpha3: "SPM", name: "Saint Pierre and Miquelon", region: "Americas", subregion: "Northern America" },
+  { alpha2: "VC", alpha3: "VCT", name: "Saint Vincent and the Grenadines", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "WS", alpha3: "WSM", name: "Samoa", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "SM", alpha3: "SMR", name: "San Marino", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "SA", alpha3: "SAU", name: "Saudi Arabia", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "SN", alpha3: "SEN", name: "Senegal", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "RS", alpha3: "SRB", name: "Serbia", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "SC", alpha3: "SYC", name: "Seychelles", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "SL", alpha3: "SLE", name: "Sierra Leone", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "SG", alpha3: "SGP", name: "Singapore", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "SX", alpha3: "SXM", name: "Sint Maarten", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "SK", alpha3: "SVK", name: "Slovakia", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "SI", alpha3: "SVN", name: "Slovenia", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "SB", alpha3: "SLB", name: "Solomon Islands", region: "Oceania", subregion: "Melanesia" },
+  { alpha2: "SO", alpha3: "SOM", name: "Somalia", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "ZA", alpha3: "ZAF", name: "South Africa", region: "Africa", subregion: "Southern Africa" },
+  { alpha2: "GS", alpha3: "SGS", name: "South Georgia and the South Sandwich Islands", region: "Americas", subregion: "South America" },
+  { alpha2: "KR", alpha3: "KOR", name: "South Korea", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "SS", alpha3: "SSD", name: "South Sudan", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "ES", alpha3: "ESP", name: "Spain", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "LK", alpha3: "LKA", name: "Sri Lanka", region: "Asia", subregion: "Southern Asia" },
+  { alpha2: "SD", alpha3: "SDN", name: "Sudan", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "SR", alpha3: "SUR", name: "Suriname", region: "Americas", subregion: "South America" },
+  { alpha2: "SJ", alpha3: "SJM", name: "Svalbard and Jan Mayen", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "SE", alpha3: "SWE", name: "Sweden", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "CH", alpha3: "CHE", name: "Switzerland", region: "Europe", subregion: "Western Europe" },
+  { alpha2: "SY", alpha3: "SYR", name: "Syria", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "ST", alpha3: "STP", name: "São Tomé and Príncipe", region: "Africa", subregion: "Middle Africa" },
+  { alpha2: "TW", alpha3: "TWN", name: "Taiwan", region: "Asia", subregion: "Eastern Asia" },
+  { alpha2: "TJ", alpha3: "TJK", name: "Tajikistan", region: "Asia", subregion: "Central Asia" },
+  { alpha2: "TZ", alpha3: "TZA", name: "Tanzania", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "TH", alpha3: "THA", name: "Thailand", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "TL", alpha3: "TLS", name: "Timor-Leste", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "TG", alpha3: "TGO", name: "Togo", region: "Africa", subregion: "Western Africa" },
+  { alpha2: "TK", alpha3: "TKL", name: "Tokelau", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "TO", alpha3: "TON", name: "Tonga", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "TT", alpha3: "TTO", name: "Trinidad and Tobago", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "TN", alpha3: "TUN", name: "Tunisia", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "TR", alpha3: "TUR", name: "Turkey", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "TM", alpha3: "TKM", name: "Turkmenistan", region: "Asia", subregion: "Central Asia" },
+  { alpha2: "TC", alpha3: "TCA", name: "Turks and Caicos Islands", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "TV", alpha3: "TUV", name: "Tuvalu", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "UM", alpha3: "UMI", name: "U.S. Minor Outlying Islands", region: "Oceania", subregion: "Micronesia" },
+  { alpha2: "VI", alpha3: "VIR", name: "U.S. Virgin Islands", region: "Americas", subregion: "Caribbean" },
+  { alpha2: "UG", alpha3: "UGA", name: "Uganda", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "UA", alpha3: "UKR", name: "Ukraine", region: "Europe", subregion: "Eastern Europe" },
+  { alpha2: "AE", alpha3: "ARE", name: "United Arab Emirates", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "GB", alpha3: "GBR", name: "United Kingdom", region: "Europe", subregion: "Northern Europe" },
+  { alpha2: "US", alpha3: "USA", name: "United States", region: "Americas", subregion: "Northern America" },
+  { alpha2: "UY", alpha3: "URY", name: "Uruguay", region: "Americas", subregion: "South America" },
+  { alpha2: "UZ", alpha3: "UZB", name: "Uzbekistan", region: "Asia", subregion: "Central Asia" },
+  { alpha2: "VU", alpha3: "VUT", name: "Vanuatu", region: "Oceania", subregion: "Melanesia" },
+  { alpha2: "VA", alpha3: "VAT", name: "Vatican City", region: "Europe", subregion: "Southern Europe" },
+  { alpha2: "VE", alpha3: "VEN", name: "Venezuela", region: "Americas", subregion: "South America" },
+  { alpha2: "VN", alpha3: "VNM", name: "Vietnam", region: "Asia", subregion: "South-eastern Asia" },
+  { alpha2: "WF", alpha3: "WLF", name: "Wallis and Futuna", region: "Oceania", subregion: "Polynesia" },
+  { alpha2: "EH", alpha3: "ESH", name: "Western Sahara", region: "Africa", subregion: "Northern Africa" },
+  { alpha2: "YE", alpha3: "YEM", name: "Yemen", region: "Asia", subregion: "Western Asia" },
+  { alpha2: "ZM", alpha3: "ZMB", name: "Zambia", region: "Africa", subregion: "Eastern Africa" },
+  { alpha2: "ZW", alpha3: "ZWE", name: "Zimbabwe", region: "Africa", subregion: "Eastern Africa" },
+];
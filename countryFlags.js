@@ -1,84 +1,44 @@
-const COUNTRY_FLAGS = {
-  "Afghanistan": "🇦🇫",
-  "Albania": "🇦🇱",
-  "Algeria": "🇩🇿",
-  "Argentina": "🇦🇷",
-  "Australia": "🇦🇺",
-  "Austria": "🇦🇹",
-  "Bangladesh": "🇧🇩",
-  "Belgium": "🇧🇪",
-  "Brazil": "🇧🇷",
-  "Canada": "🇨🇦",
-  "Chile": "🇨🇱",
-  "China": "🇨🇳",
-  "Colombia": "🇨🇴",
-  "Czech Republic": "🇨🇿",
-  "Denmark": "🇩🇰",
-  "Egypt": "🇪🇬",
+// Build a flag emoji from an ISO 3166-1 alpha-2 code using regional indicator symbols
+function flagFromCode(code) {
+  if (!code || !/^[A-Z]{2}$/.test(code)) return null;
+  return String.fromCodePoint(...Array.from(code, char => 0x1F1E6 + char.charCodeAt(0) - 65));
+}
+
+// Emoji for region pseudo-locations (top-level regions and groups; subregions use their parent)
+const REGION_FLAGS = {
+  "Africa": "🌍",
+  "Americas": "🌎",
+  "Asia": "🌏",
   "Europe": "🇪🇺",
-  "Finland": "🇫🇮",
-  "France": "🇫🇷",
-  "Germany": "🇩🇪",
-  "Greece": "🇬🇷",
-  "Hong Kong": "🇭🇰",
-  "Hungary": "🇭🇺",
-  "India": "🇮🇳",
-  "Indonesia": "🇮🇩",
-  "Iran": "🇮🇷",
-  "Iraq": "🇮🇶",
-  "Ireland": "🇮🇪",
-  "Israel": "🇮🇱",
-  "Italy": "🇮🇹",
-  "Japan": "🇯🇵",
-  "Kenya": "🇰🇪",
-  "Malaysia": "🇲🇾",
-  "Mexico": "🇲🇽",
-  "Netherlands": "🇳🇱",
-  "New Zealand": "🇳🇿",
-  "Nigeria": "🇳🇬",
-  "Norway": "🇳🇴",
-  "Pakistan": "🇵🇰",
-  "Philippines": "🇵🇭",
-  "Poland": "🇵🇱",
-  "Portugal": "🇵🇹",
-  "Romania": "🇷🇴",
-  "Russia": "🇷🇺",
-  "Saudi Arabia": "🇸🇦",
-  "Singapore": "🇸🇬",
-  "South Africa": "🇿🇦",
-  "Korea": "🇰🇷",
-  "South Korea": "🇰🇷",
-  "Spain": "🇪🇸",
-  "Sweden": "🇸🇪",
-  "Switzerland": "🇨🇭",
-  "Taiwan": "🇹🇼",
-  "Thailand": "🇹🇭",
-  "Turkey": "🇹🇷",
-  "Ukraine": "🇺🇦",
-  "United Arab Emirates": "🇦🇪",
-  "United Kingdom": "🇬🇧",
-  "United States": "🇺🇸",
-  "Venezuela": "🇻🇪",
-  "Vietnam": "🇻🇳",
-  "Jordan": "🇯🇴",
+  "Oceania": "🌏",
+  "European Union": "🇪🇺",
+  "Middle East": "🌍",
+  "MENA": "🌍",
 };
 
+// Country name -> flag emoji, derived from the resolver's country table
+const COUNTRY_FLAGS = {};
+for (const [code, name] of Object.entries(COUNTRY_NAMES)) {
+  COUNTRY_FLAGS[name] = flagFromCode(code);
+}
+
+// Get the flag emoji for a country name, alias, ISO code or region name
 function getCountryFlag(countryName) {
   if (!countryName) return null;
-  
-  // Try exact match first
-  if (COUNTRY_FLAGS[countryName]) {
-    return COUNTRY_FLAGS[countryName];
+
+  const code = resolveCountryCode(countryName);
+  if (code) {
+    return flagFromCode(code);
   }
-  
-  // Try case-insensitive match
-  const normalized = countryName.trim();
-  for (const [country, flag] of Object.entries(COUNTRY_FLAGS)) {
-    if (country.toLowerCase() === normalized.toLowerCase()) {
-      return flag;
-    }
+
+  // Region pseudo-locations like "Europe"
+  const region = resolveRegionName(countryName);
+  if (region) {
+    if (REGION_FLAGS[region]) return REGION_FLAGS[region];
+    // Subregions and groups fall back to the emoji of the region their first member is in
+    const parent = getParentRegion(region) || getCountryInfo(getRegionMembers(region)[0])?.region;
+    return REGION_FLAGS[parent] || null;
   }
-  
+
   return null;
 }
-
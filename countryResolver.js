@@ -0,0 +1,252 @@
+// Canonical country resolution
+// Turns API locations and user-typed list entries into ISO 3166-1 alpha-2 codes,
+// so "USA", "United States of America" and "US" all mean the same country.
+
+// ISO 3166-1 alpha-2 code -> country record (see countryData.js)
+const COUNTRY_INFO = {};
+// ISO 3166-1 alpha-2 code -> display name
+const COUNTRY_NAMES = {};
+for (const country of COUNTRY_DATA) {
+  COUNTRY_INFO[country.alpha2] = country;
+  COUNTRY_NAMES[country.alpha2] = country.name;
+}
+
+// Alternative spellings and abbreviations -> ISO code
+const COUNTRY_ALIASES = {
+  "USA": "US",
+  "U.S.": "US",
+  "U.S.A.": "US",
+  "America": "US",
+  "United States of America": "US",
+  "UK": "GB",
+  "Great Britain": "GB",
+  "Britain": "GB",
+  "England": "GB",
+  "Scotland": "GB",
+  "Wales": "GB",
+  "Northern Ireland": "GB",
+  "United Kingdom of Great Britain and Northern Ireland": "GB",
+  "Türkiye": "TR",
+  "Korea": "KR",
+  "Republic of Korea": "KR",
+  "Korea, Republic of": "KR",
+  "Democratic People's Republic of Korea": "KP",
+  "Czechia": "CZ",
+  "UAE": "AE",
+  "Emirates": "AE",
+  "Holland": "NL",
+  "The Netherlands": "NL",
+  "Russian Federation": "RU",
+  "Viet Nam": "VN",
+  "Hong Kong SAR": "HK",
+  "Macau": "MO",
+  "KSA": "SA",
+  "People's Republic of China": "CN",
+  "PRC": "CN",
+  "Iran, Islamic Republic of": "IR",
+  "Syrian Arab Republic": "SY",
+  "State of Palestine": "PS",
+  "Lao People's Democratic Republic": "LA",
+  "Brunei Darussalam": "BN",
+  "Burma": "MM",
+  "East Timor": "TL",
+  "Republic of Moldova": "MD",
+  "Macedonia": "MK",
+  "Vatican": "VA",
+  "Holy See": "VA",
+  "Bolivia (Plurinational State of)": "BO",
+  "Venezuela (Bolivarian Republic of)": "VE",
+  "United Republic of Tanzania": "TZ",
+  "Republic of the Congo": "CG",
+  "Congo-Brazzaville": "CG",
+  "Congo-Kinshasa": "CD",
+  "DRC": "CD",
+  "DR Congo": "CD",
+  "Ivory Coast": "CI",
+  "Cabo Verde": "CV",
+  "Swaziland": "SZ",
+  "Micronesia (Federated States of)": "FM",
+  "Falkland Islands (Malvinas)": "FK",
+};
+
+// Named groups of countries, usable as blacklist/allowlist entries.
+// Members are ISO codes or UN region/subregion names from countryData.js.
+const REGION_GROUPS = {
+  "European Union": ["AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR", "HU", "IE", "IT", "LV", "LT", "LU", "MT", "NL", "PL", "PT", "RO", "SK", "SI", "ES", "SE"],
+  "Middle East": ["BH", "CY", "EG", "IR", "IQ", "IL", "JO", "KW", "LB", "OM", "PS", "QA", "SA", "SY", "TR", "AE", "YE"],
+  "Gulf States": ["BH", "KW", "OM", "QA", "SA", "AE"],
+  "MENA": ["Middle East", "Northern Africa"],
+  "Nordic Countries": ["DK", "FI", "IS", "NO", "SE", "FO", "GL", "AX"],
+  "North America": ["Northern America", "Central America", "Caribbean"],
+  "Latin America and the Caribbean": ["Central America", "South America", "Caribbean"],
+  "Sub-Saharan Africa": ["Eastern Africa", "Middle Africa", "Southern Africa", "Western Africa"],
+  "East Asia & Pacific": ["Eastern Asia", "South-eastern Asia", "Oceania"],
+};
+
+// Alternative region names (including the ones X reports as "based in") -> canonical region name
+const REGION_ALIASES = {
+  "EU": "European Union",
+  "Nordics": "Nordic Countries",
+  "Scandinavia": "Nordic Countries",
+  "Latin America": "Latin America and the Caribbean",
+  "LATAM": "Latin America and the Caribbean",
+  "Middle East and North Africa": "MENA",
+  "East Asia": "Eastern Asia",
+  "South Asia": "Southern Asia",
+  "Southeast Asia": "South-eastern Asia",
+  "South East Asia": "South-eastern Asia",
+  "West Asia": "Western Asia",
+  "North Africa": "Northern Africa",
+  "East Africa": "Eastern Africa",
+  "West Africa": "Western Africa",
+  "Central Africa": "Middle Africa",
+  "Australasia": "Australia and New Zealand",
+  "The Americas": "Americas",
+};
+
+// Region names that can be reported as a location instead of a country,
+// and that can be used as list entries
+const REGION_NAMES = new Set(Object.keys(REGION_GROUPS));
+for (const country of COUNTRY_DATA) {
+  if (country.region) REGION_NAMES.add(country.region);
+  if (country.subregion) REGION_NAMES.add(country.subregion);
+}
+
+// Normalize a free-form country string for lookup (case, accents, punctuation)
+function normalizeCountryName(name) {
+  if (!name) return '';
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Normalized name/alias/code -> ISO code
+const COUNTRY_LOOKUP = new Map();
+
+function registerCountryLookup(name, code) {
+  const key = normalizeCountryName(name);
+  if (key && !COUNTRY_LOOKUP.has(key)) {
+    COUNTRY_LOOKUP.set(key, code);
+  }
+}
+
+for (const country of COUNTRY_DATA) {
+  registerCountryLookup(country.name, country.alpha2);
+  registerCountryLookup(country.alpha2, country.alpha2);
+  registerCountryLookup(country.alpha3, country.alpha2);
+}
+for (const [alias, code] of Object.entries(COUNTRY_ALIASES)) {
+  registerCountryLookup(alias, code);
+}
+
+// Normalized region name -> canonical region name
+const REGION_LOOKUP = new Map();
+for (const region of REGION_NAMES) {
+  REGION_LOOKUP.set(normalizeCountryName(region), region);
+}
+for (const [alias, region] of Object.entries(REGION_ALIASES)) {
+  REGION_LOOKUP.set(normalizeCountryName(alias), region);
+}
+
+// Resolve a country name, alias or ISO code to its ISO 3166-1 alpha-2 code
+function resolveCountryCode(name) {
+  const key = normalizeCountryName(name);
+  if (!key) return null;
+  return COUNTRY_LOOKUP.get(key) || COUNTRY_LOOKUP.get(key.replace(/^the /, '')) || null;
+}
+
+// Get the display name for an ISO code
+function getCountryName(code) {
+  return COUNTRY_NAMES[code] || null;
+}
+
+// Get the full country record (alpha3, region, subregion) for an ISO code
+function getCountryInfo(code) {
+  return COUNTRY_INFO[code] || null;
+}
+
+// Resolve a region pseudo-location (e.g. "Europe", "South America") to its canonical name
+function resolveRegionName(name) {
+  const key = normalizeCountryName(name);
+  if (!key) return null;
+  return REGION_LOOKUP.get(key) || REGION_LOOKUP.get(key.replace(/^the /, '')) || null;
+}
+
+// Get the top-level region ("Europe", "Asia", ...) a region or subregion belongs to
+function getParentRegion(regionName) {
+  const country = COUNTRY_DATA.find(c => c.region === regionName || c.subregion === regionName);
+  return country ? country.region : null;
+}
+
+// Get the ISO codes of every country in a region, subregion or named group
+function getRegionMembers(regionName, visited = new Set()) {
+  if (visited.has(regionName)) return [];
+  visited.add(regionName);
+
+  if (REGION_GROUPS[regionName]) {
+    const members = new Set();
+    for (const member of REGION_GROUPS[regionName]) {
+      if (COUNTRY_INFO[member]) {
+        members.add(member);
+      } else {
+        getRegionMembers(member, visited).forEach(code => members.add(code));
+      }
+    }
+    return Array.from(members);
+  }
+
+  return COUNTRY_DATA
+    .filter(c => c.region === regionName || c.subregion === regionName)
+    .map(c => c.alpha2);
+}
+
+// Resolve a country or region string to the set of ISO codes it covers (null if unrecognized)
+function resolveLocationCodes(name) {
+  const code = resolveCountryCode(name);
+  if (code) return new Set([code]);
+
+  const region = resolveRegionName(name);
+  if (region) return new Set(getRegionMembers(region));
+
+  return null;
+}
+
+// Expand list entries (countries and region groups) into one set of ISO codes
+function expandEntries(entries) {
+  const codes = new Set();
+  for (const entry of entries) {
+    const entryCodes = resolveLocationCodes(entry);
+    if (entryCodes) {
+      entryCodes.forEach(code => codes.add(code));
+    }
+  }
+  return codes;
+}
+
+// Check whether a location matches a blacklist/allowlist.
+// Entries may be countries or region groups; a region location (e.g. "Europe") only
+// matches when every country in it is covered by the list.
+// Unrecognized strings fall back to an exact (normalized) name match.
+function locationMatchesEntries(location, entries) {
+  if (!location || !entries || entries.length === 0) return false;
+
+  const locationCodes = resolveLocationCodes(location);
+  if (locationCodes && locationCodes.size > 0) {
+    const entryCodes = expandEntries(entries);
+    if (Array.from(locationCodes).every(code => entryCodes.has(code))) {
+      return true;
+    }
+  }
+
+  const locationKey = normalizeCountryName(location);
+  return entries.some(entry => normalizeCountryName(entry) === locationKey);
+}
+
+// Return the entries of a list that don't resolve to a known country or region
+function findUnrecognizedEntries(entries) {
+  return entries.filter(entry => !resolveCountryCode(entry) && !resolveRegionName(entry));
+}
@@ -0,0 +1,78 @@
+// IndexedDB-backed location cache (used by the background worker)
+// One record per screen name, so saving or evicting an account only writes that account.
+// Records are the cache entries from background.js plus their key:
+// { screenName, location, about, expiry, cachedAt, lastAccessed }
+
+const LOCATION_DB_NAME = 'twitter_location_flag';
+const LOCATION_DB_VERSION = 1;
+const LOCATION_STORE = 'locations';
+
+let locationDbPromise = null;
+
+// Open (and on first use create) the database
+function openLocationDb() {
+  if (!locationDbPromise) {
+    locationDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LOCATION_DB_NAME, LOCATION_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(LOCATION_STORE, { keyPath: 'screenName' });
+        store.createIndex('lastAccessed', 'lastAccessed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        locationDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return locationDbPromise;
+}
+
+// Run fn against the store in one transaction; resolves with fn's result once committed
+async function withLocationStore(mode, fn) {
+  const db = await openLocationDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LOCATION_STORE, mode);
+    let result;
+    const request = fn(tx.objectStore(LOCATION_STORE));
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Every stored record
+function getAllLocationRecords() {
+  return withLocationStore('readonly', store => store.getAll());
+}
+
+// Write records (insert or replace) in a single transaction
+function putLocationRecords(records) {
+  if (records.length === 0) return Promise.resolve();
+  return withLocationStore('readwrite', store => {
+    records.forEach(record => store.put(record));
+  });
+}
+
+// Delete records by screen name in a single transaction
+function deleteLocationRecords(screenNames) {
+  if (screenNames.length === 0) return Promise.resolve();
+  return withLocationStore('readwrite', store => {
+    screenNames.forEach(screenName => store.delete(screenName));
+  });
+}
+
+function clearLocationRecords() {
+  return withLocationStore('readwrite', store => store.clear());
+}
+
+// Approximate stored size of a record in bytes (UTF-8 JSON)
+const recordEncoder = new TextEncoder();
+function getRecordSize(record) {
+  return recordEncoder.encode(JSON.stringify(record)).length;
+}
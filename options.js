@@ -0,0 +1,401 @@
+// Cache browser: list, search, edit and delete cached locations, import files and restore
+// settings backups
+// The cache lives in the background worker (see background.js); every change goes through it
+// so open X tabs stay in sync. Imports live here rather than in the popup because the popup
+// closes on some platforms when a file chooser opens.
+
+const MAX_VISIBLE_ROWS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BLACKLIST_KEY = 'blocked_countries';
+// Longest location the worker accepts (see editCacheEntry in background.js)
+const MAX_LOCATION_LENGTH = 100;
+
+const cacheSummary = document.getElementById('cacheSummary');
+const searchInput = document.getElementById('searchInput');
+const statusLine = document.getElementById('statusLine');
+const entryRows = document.getElementById('entryRows');
+const listFooter = document.getElementById('listFooter');
+const countryCounts = document.getElementById('countryCounts');
+const bulkCountrySelect = document.getElementById('bulkCountrySelect');
+const bulkCountryButton = document.getElementById('bulkCountryButton');
+const bulkAgeInput = document.getElementById('bulkAgeInput');
+const bulkAgeButton = document.getElementById('bulkAgeButton');
+const importCacheButton = document.getElementById('importCacheButton');
+const importCacheFile = document.getElementById('importCacheFile');
+const importBlacklistButton = document.getElementById('importBlacklistButton');
+const importBlacklistFile = document.getElementById('importBlacklistFile');
+const restoreSettingsButton = document.getElementById('restoreSettingsButton');
+const restoreSettingsFile = document.getElementById('restoreSettingsFile');
+const importStatus = document.getElementById('importStatus');
+
+let entries = [];
+let sortKey = 'cachedAt';
+let sortDirection = -1; // Newest first
+
+// Ask the background worker; resolves with its response (null if it couldn't be reached)
+function sendToWorker(message) {
+  return chrome.runtime.sendMessage(message).catch(error => {
+    console.error('Background worker unavailable:', error);
+    return null;
+  });
+}
+
+// Country an entry counts towards (canonical name, or a label for entries without one)
+function getEntryCountry(entry) {
+  if (!entry.location) {
+    return entry.status === 'not_found' ? 'Account not found' : 'No location';
+  }
+  const code = resolveCountryCode(entry.location);
+  return code ? getCountryName(code) : entry.location;
+}
+
+async function loadEntries() {
+  const response = await sendToWorker({ type: 'getCacheEntries' });
+  entries = response ? response.entries : [];
+  render();
+}
+
+function render() {
+  const withLocation = entries.filter(entry => entry.location).length;
+  cacheSummary.textContent = `${entries.length} accounts cached, ${withLocation} with a location`;
+  renderCountries();
+  renderRows();
+}
+
+// Per-country counts (click to search) and the bulk delete country list
+function renderCountries() {
+  const counts = new Map();
+  for (const entry of entries) {
+    const country = getEntryCountry(entry);
+    counts.set(country, (counts.get(country) || 0) + 1);
+  }
+  const sorted = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  countryCounts.innerHTML = '';
+  const selected = bulkCountrySelect.value;
+  bulkCountrySelect.innerHTML = '';
+  for (const [country, count] of sorted) {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = `${getCountryFlag(country) || ''} ${country}`.trim();
+    const number = document.createElement('span');
+    number.className = 'muted';
+    number.textContent = count;
+    item.appendChild(name);
+    item.appendChild(number);
+    item.addEventListener('click', () => {
+      searchInput.value = country;
+      renderRows();
+    });
+    countryCounts.appendChild(item);
+
+    const option = document.createElement('option');
+    option.value = country;
+    option.textContent = `${country} (${count})`;
+    bulkCountrySelect.appendChild(option);
+  }
+  if (counts.has(selected)) {
+    bulkCountrySelect.value = selected;
+  }
+}
+
+// Entries matching the search box, sorted by the selected column
+function getVisibleEntries() {
+  const query = searchInput.value.trim().toLowerCase().replace(/^@/, '');
+  const matching = query
+    ? entries.filter(entry =>
+        entry.screenName.toLowerCase().includes(query) ||
+        (entry.location || '').toLowerCase().includes(query) ||
+        getEntryCountry(entry).toLowerCase().includes(query))
+    : entries.slice();
+
+  return matching.sort((a, b) => {
+    const valueA = a[sortKey] ?? '';
+    const valueB = b[sortKey] ?? '';
+    const order = typeof valueA === 'number' && typeof valueB === 'number'
+      ? valueA - valueB
+      : String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' });
+    return order * sortDirection;
+  });
+}
+
+function renderRows() {
+  const visible = getVisibleEntries();
+  entryRows.innerHTML = '';
+
+  for (const entry of visible.slice(0, MAX_VISIBLE_ROWS)) {
+    entryRows.appendChild(createRow(entry));
+  }
+
+  listFooter.textContent = visible.length > MAX_VISIBLE_ROWS
+    ? `Showing ${MAX_VISIBLE_ROWS} of ${visible.length} matching accounts. Refine the search to see more.`
+    : `${visible.length} matching accounts`;
+
+  document.querySelectorAll('th.sortable').forEach(header => {
+    const arrow = header.dataset.sort === sortKey ? (sortDirection === 1 ? ' ▲' : ' ▼') : '';
+    header.textContent = header.textContent.replace(/ [▲▼]$/, '') + arrow;
+  });
+}
+
+function createRow(entry) {
+  const row = document.createElement('tr');
+
+  const handleCell = document.createElement('td');
+  const link = document.createElement('a');
+  link.href = `https://x.com/${entry.screenName}`;
+  link.target = '_blank';
+  link.textContent = `@${entry.screenName}`;
+  handleCell.appendChild(link);
+
+  const locationCell = document.createElement('td');
+  if (entry.location) {
+    locationCell.textContent = `${getCountryFlag(entry.location) || ''} ${entry.location}`.trim();
+  } else {
+    locationCell.textContent = getEntryCountry(entry);
+    locationCell.className = 'muted';
+  }
+  if (entry.edited) {
+    const edited = document.createElement('span');
+    edited.className = 'muted';
+    edited.textContent = ' (edited)';
+    locationCell.appendChild(edited);
+  }
+
+  const dateCell = document.createElement('td');
+  dateCell.textContent = new Date(entry.cachedAt).toLocaleDateString();
+  dateCell.title = new Date(entry.cachedAt).toLocaleString();
+
+  const actionsCell = document.createElement('td');
+  actionsCell.className = 'actions';
+  actionsCell.appendChild(createActionButton('Refresh', 'secondary', button => refreshEntry(entry, button)));
+  actionsCell.appendChild(createActionButton('Edit', 'secondary', () => editEntry(entry)));
+  actionsCell.appendChild(createActionButton('Delete', 'danger', () => deleteEntries([entry.screenName])));
+
+  row.appendChild(handleCell);
+  row.appendChild(locationCell);
+  row.appendChild(dateCell);
+  row.appendChild(actionsCell);
+  return row;
+}
+
+function createActionButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener('click', () => onClick(button));
+  return button;
+}
+
+function showStatus(message) {
+  statusLine.textContent = message;
+}
+
+// Replace an entry in the list with the worker's updated copy
+function updateEntry(screenName, entry) {
+  const index = entries.findIndex(item => item.screenName === screenName);
+  const updated = { screenName, ...entry };
+  if (index === -1) {
+    entries.push(updated);
+  } else {
+    entries[index] = updated;
+  }
+  render();
+}
+
+async function deleteEntries(screenNames) {
+  if (screenNames.length === 0) return;
+  await sendToWorker({ type: 'removeCacheEntries', screenNames });
+  const removed = new Set(screenNames);
+  entries = entries.filter(entry => !removed.has(entry.screenName));
+  render();
+  showStatus(screenNames.length === 1 ? `Deleted @${screenNames[0]}` : `Deleted ${screenNames.length} accounts`);
+}
+
+// Look an account up again right away (needs an open X tab to run the lookup)
+async function refreshEntry(entry, button) {
+  button.disabled = true;
+  button.textContent = 'Refreshing...';
+  const response = await sendToWorker({ type: 'refreshLocation', screenName: entry.screenName });
+  button.disabled = false;
+  button.textContent = 'Refresh';
+
+  if (!response || !response.entry) {
+    showStatus(`Couldn't refresh @${entry.screenName}. Open x.com in a tab and try again.`);
+    return;
+  }
+  updateEntry(entry.screenName, response.entry);
+  showStatus(response.entry.location === entry.location
+    ? `@${entry.screenName} is unchanged`
+    : `@${entry.screenName} updated: ${response.entry.location || 'no location'}`);
+}
+
+async function editEntry(entry) {
+  const input = prompt(`Location for @${entry.screenName}:`, entry.location || '');
+  if (input === null) return;
+
+  const location = input.trim();
+  if (!location) {
+    showStatus("Location can't be empty. Delete the entry to look the account up again.");
+    return;
+  }
+  if (location.length > MAX_LOCATION_LENGTH) {
+    showStatus(`Location can't be longer than ${MAX_LOCATION_LENGTH} characters`);
+    return;
+  }
+
+  const response = await sendToWorker({ type: 'editCacheEntry', screenName: entry.screenName, location });
+  if (response && response.entry) {
+    updateEntry(entry.screenName, response.entry);
+    showStatus(`Saved @${entry.screenName}`);
+  } else {
+    showStatus(`Couldn't save @${entry.screenName}: ${response?.error || 'extension worker unavailable'}`);
+  }
+}
+
+searchInput.addEventListener('input', renderRows);
+
+document.querySelectorAll('th.sortable').forEach(header => {
+  header.addEventListener('click', () => {
+    if (sortKey === header.dataset.sort) {
+      sortDirection = -sortDirection;
+    } else {
+      sortKey = header.dataset.sort;
+      sortDirection = sortKey === 'cachedAt' ? -1 : 1;
+    }
+    renderRows();
+  });
+});
+
+bulkCountryButton.addEventListener('click', () => {
+  const country = bulkCountrySelect.value;
+  const matching = entries.filter(entry => getEntryCountry(entry) === country);
+  if (matching.length === 0) return;
+  if (confirm(`Delete ${matching.length} cached accounts from ${country}?`)) {
+    deleteEntries(matching.map(entry => entry.screenName));
+  }
+});
+
+bulkAgeButton.addEventListener('click', () => {
+  const days = Number(bulkAgeInput.value);
+  if (!Number.isFinite(days) || days < 1) return;
+  const cutoff = Date.now() - days * DAY_MS;
+  const matching = entries.filter(entry => entry.cachedAt < cutoff);
+  if (matching.length === 0) {
+    showStatus(`No entries older than ${days} days`);
+    return;
+  }
+  if (confirm(`Delete ${matching.length} cached accounts older than ${days} days?`)) {
+    deleteEntries(matching.map(entry => entry.screenName));
+  }
+});
+
+// Show the outcome of an import under its buttons
+function showImportStatus(message, isError = false) {
+  importStatus.textContent = message;
+  importStatus.classList.toggle('error', isError);
+}
+
+// Take the file picked in a file input (and reset it so the same file can be picked again)
+function takePickedFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  return file;
+}
+
+importCacheButton.addEventListener('click', () => importCacheFile.click());
+
+// Import a cache file; the worker validates entries and keeps the newest cachedAt per account
+importCacheFile.addEventListener('change', async () => {
+  const file = takePickedFile(importCacheFile);
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = parseCacheImport(await file.text(), file.name);
+  } catch (error) {
+    showImportStatus(`Import failed: ${error.message}`, true);
+    return;
+  }
+
+  const response = await sendToWorker({ type: 'importCache', entries: imported });
+  if (!response || response.error) {
+    showImportStatus(`Import failed: ${response?.error || 'extension worker unavailable'}`, true);
+    return;
+  }
+  const { added, updated, unchanged, rejected } = response.report;
+  showImportStatus(`Imported: ${added} added, ${updated} updated, ${unchanged} already up to date, ${rejected} rejected`);
+  loadEntries();
+});
+
+importBlacklistButton.addEventListener('click', () => importBlacklistFile.click());
+
+// Merge an imported blacklist into the saved one
+importBlacklistFile.addEventListener('change', async () => {
+  const file = takePickedFile(importBlacklistFile);
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = parseBlacklistImport(await file.text());
+  } catch (error) {
+    showImportStatus(`Import failed: ${error.message}`, true);
+    return;
+  }
+
+  const result = await chrome.storage.local.get([BLACKLIST_KEY]);
+  const countries = Array.isArray(result[BLACKLIST_KEY]) ? result[BLACKLIST_KEY].slice() : [];
+  const listed = new Set(countries.map(normalizeCountryName));
+  let added = 0;
+  let unchanged = 0;
+  let rejected = 0;
+  for (const entry of imported) {
+    const name = typeof entry === 'string' ? entry.trim() : '';
+    if (!name || name.length > 100 || name.includes('\n')) {
+      rejected++;
+    } else if (listed.has(normalizeCountryName(name))) {
+      unchanged++;
+    } else {
+      countries.push(name);
+      listed.add(normalizeCountryName(name));
+      added++;
+    }
+  }
+
+  await chrome.storage.local.set({ [BLACKLIST_KEY]: countries });
+  showImportStatus(`Blacklist imported: ${added} added, ${unchanged} already listed, ${rejected} rejected`);
+});
+
+restoreSettingsButton.addEventListener('click', () => restoreSettingsFile.click());
+
+// Replace all settings with a backup, upgrading it if it came from an older version
+restoreSettingsFile.addEventListener('change', async () => {
+  const file = takePickedFile(restoreSettingsFile);
+  if (!file) return;
+
+  let settings;
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== SETTINGS_BACKUP_FORMAT || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('Not a settings backup file');
+    }
+    settings = migrateSettings(data.settings, data.version || 0);
+  } catch (error) {
+    showImportStatus(`Restore failed: ${error.message}`, true);
+    return;
+  }
+
+  if (!confirm('Replace your current settings with this backup?')) return;
+
+  // Settings missing from the backup go back to their defaults
+  const missing = SETTINGS_KEYS.filter(key => settings[key] === undefined);
+  await chrome.storage.local.remove(missing);
+  await chrome.storage.local.set({ ...settings, [SETTINGS_VERSION_KEY]: SETTINGS_SCHEMA_VERSION });
+  showImportStatus('Settings restored');
+});
+
+loadEntries();
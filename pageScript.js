@@ -1,4 +1,20 @@
-(function() {
+// Runs in the page context of an X tab: the background worker injects this function with
+// chrome.scripting.executeScript (world 'MAIN'), so it must not use anything from outside it.
+// channelNonce: one-time secret from the content script, passed as an argument so it never
+// appears in the DOM.
+function locationFlagPageScript(channelNonce) {
+  // Private channel to the content script: the port goes out in an event named after the
+  // nonce, which only the content script listens for (no window.postMessage, so other scripts
+  // on the page never see the port). From then on all messages go over the port, so other
+  // scripts can't forge responses or ask for lookups.
+  const channel = new MessageChannel();
+  const contentPort = channel.port1;
+  window.dispatchEvent(new MessageEvent(`__locationFlagChannel:${channelNonce}`, { ports: [channel.port2] }));
+  
+  function sendToContent(message) {
+    contentPort.postMessage(message);
+  }
+  
   // Store headers from Twitter's own API calls
   let twitterHeaders = null;
   let headersReady = false;
@@ -25,6 +41,188 @@
     console.log('Captured Twitter API headers:', Object.keys(headerObj));
   }
   
+  // GraphQL operations whose responses carry user objects worth scanning for locations
+  const HARVEST_OPERATIONS = new Set([
+    'AboutAccountQuery',
+    'UserByScreenName',
+    'UserByRestId',
+    'UsersByRestIds',
+    'HomeTimeline',
+    'HomeLatestTimeline',
+    'TweetDetail',
+    'UserTweets',
+    'UserTweetsAndReplies',
+    'UserMedia',
+    'Likes',
+    'SearchTimeline',
+    'ListLatestTweetsTimeline',
+    'Followers',
+    'Following',
+    'Favoriters',
+    'Retweeters'
+  ]);
+  
+  // GraphQL URLs look like .../i/api/graphql/<query id>/<operation>
+  const GRAPHQL_URL_PATTERN = /\/i\/api\/graphql\/([\w-]+)\/(\w+)/;
+  
+  // Operation name of a GraphQL URL, or null
+  function getGraphqlOperation(url) {
+    const match = GRAPHQL_URL_PATTERN.exec(url || '');
+    return match ? match[2] : null;
+  }
+  
+  // AboutAccountQuery's query ID changes when X deploys new code. The current one is learned
+  // from X's own requests or its JS bundles; the background worker supplies the last ID
+  // that worked, and the hardcoded one is only the last resort.
+  const ABOUT_ACCOUNT_OPERATION = 'AboutAccountQuery';
+  const DEFAULT_ABOUT_ACCOUNT_QUERY_ID = 'XRqGa7EeokUU5kppkh13EA';
+  let aboutAccountQueryId = DEFAULT_ABOUT_ACCOUNT_QUERY_ID;
+  // Where aboutAccountQueryId came from: 'default', 'stored', 'traffic' or 'bundle'
+  let aboutAccountQuerySource = 'default';
+  // Multi-user operation for batch lookups (see lookUpAccounts)
+  const BATCH_OPERATION = 'UsersByRestIds';
+  
+  function setAboutAccountQueryId(queryId, source) {
+    if (queryId === aboutAccountQueryId) return;
+    console.log(`Using ${ABOUT_ACCOUNT_OPERATION} query ID ${queryId} (from ${source})`);
+    aboutAccountQueryId = queryId;
+    aboutAccountQuerySource = source;
+  }
+  
+  // Query IDs of every GraphQL operation seen in X's traffic or bundles, by operation name
+  const knownQueryIds = new Map();
+  // Feature flags X last sent with each GraphQL operation, by operation name
+  // (reused for our own batch requests)
+  const featuresByOperation = new Map();
+  
+  // Pick up query IDs and feature flags from X's own GraphQL requests
+  function learnQueryId(url) {
+    const match = GRAPHQL_URL_PATTERN.exec(url || '');
+    if (!match) return;
+    knownQueryIds.set(match[2], match[1]);
+    if (match[2] === ABOUT_ACCOUNT_OPERATION) {
+      setAboutAccountQueryId(match[1], 'traffic');
+    }
+    try {
+      const features = new URL(url, window.location.href).searchParams.get('features');
+      if (features) featuresByOperation.set(match[2], JSON.parse(features));
+    } catch (error) {
+      // No usable features
+    }
+  }
+  
+  // Read query IDs from X's loaded JS bundles, which list every operation as
+  // {queryId:"...",operationName:"...",...}. Runs at most every few minutes; resolves with
+  // the ID found for the given operation, or null.
+  const BUNDLE_SCAN_INTERVAL = 5 * 60 * 1000;
+  let lastBundleScan = 0;
+  let bundleScanPromise = null;
+  
+  async function discoverQueryIdFromBundles(operation) {
+    if (!bundleScanPromise && Date.now() - lastBundleScan >= BUNDLE_SCAN_INTERVAL) {
+      lastBundleScan = Date.now();
+      bundleScanPromise = scanBundles().finally(() => {
+        bundleScanPromise = null;
+      });
+    }
+    if (bundleScanPromise) await bundleScanPromise;
+    return knownQueryIds.get(operation) || null;
+  }
+  
+  async function scanBundles() {
+    const pattern = /queryId:"([\w-]+)",operationName:"(\w+)"/g;
+    const scriptUrls = new Set([
+      ...Array.from(document.querySelectorAll('script[src]'), script => script.src),
+      ...performance.getEntriesByType('resource').map(entry => entry.name)
+    ]);
+    // The main bundle usually has the full operation list, so try it first
+    const bundles = Array.from(scriptUrls)
+      .filter(url => /\/responsive-web\/client-web[^/]*\/[^?]+\.js/.test(url))
+      .sort((a, b) => /\/main\./.test(b) - /\/main\./.test(a));
+    
+    const found = new Set();
+    for (const url of bundles) {
+      try {
+        const text = await (await originalFetch(url)).text();
+        for (const [, queryId, operation] of text.matchAll(pattern)) {
+          knownQueryIds.set(operation, queryId);
+          found.add(operation);
+        }
+        if (found.has(ABOUT_ACCOUNT_OPERATION)) break;
+      } catch (error) {
+        // Bundle unavailable, try the next one
+      }
+    }
+    
+    if (found.has(ABOUT_ACCOUNT_OPERATION)) {
+      setAboutAccountQueryId(knownQueryIds.get(ABOUT_ACCOUNT_OPERATION), 'bundle');
+    } else {
+      console.log(`${ABOUT_ACCOUNT_OPERATION} query ID not found in ${bundles.length} X bundles`);
+    }
+  }
+  
+  // Rest IDs of accounts seen in X's responses, by lowercase screen name (for batch lookups)
+  const restIdsByScreenName = new Map();
+  
+  // Walk a GraphQL response for user objects: remembers their rest IDs and returns those
+  // carrying "About this account" data as screen name -> { screenName, location, status, about }
+  // (requestedUser/requestedScreenName: a user object that has no screen name of its own)
+  function findAccountLocations(data, requestedUser = null, requestedScreenName = null) {
+    const users = new Map();
+    const stack = [data];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node !== 'object') continue;
+      
+      const screenName = node.core?.screen_name || node.legacy?.screen_name ||
+        (node === requestedUser ? requestedScreenName : null);
+      if (screenName && typeof node.rest_id === 'string') {
+        restIdsByScreenName.set(screenName.toLowerCase(), node.rest_id);
+      }
+      if (screenName && node.about_profile && typeof node.about_profile === 'object') {
+        const location = node.about_profile.account_based_in || null;
+        users.set(screenName, {
+          screenName,
+          location,
+          status: location ? 'found' : 'no_location',
+          about: extractAboutAccount(node)
+        });
+      }
+      for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') stack.push(value);
+      }
+    }
+    return users;
+  }
+  
+  // Find every user in a response that carries "About this account" data and post the
+  // screen name -> location pairs to the content script (saves looking them up ourselves).
+  // AboutAccountQuery results may leave out the screen name; it's taken from the request then.
+  function harvestLocations(url, data) {
+    const operation = getGraphqlOperation(url);
+    let requestedScreenName = null;
+    if (operation === 'AboutAccountQuery') {
+      try {
+        requestedScreenName = JSON.parse(new URL(url, window.location.href).searchParams.get('variables')).screenName;
+      } catch (error) {
+        // No usable variables
+      }
+    }
+    if (operation === BATCH_OPERATION) {
+      checkBatchSupport(url, data);
+    }
+    const requestedUser = data?.data?.user_result_by_screen_name?.result;
+    const users = findAccountLocations(data, requestedUser, requestedScreenName);
+    
+    if (users.size > 0) {
+      console.log(`Found ${users.size} account locations in ${operation} response`);
+      sendToContent({
+        type: '__harvestedLocations',
+        users: Array.from(users.values())
+      });
+    }
+  }
+  
   // Intercept fetch to capture Twitter's headers
   const originalFetch = window.fetch;
   window.fetch = function(...args) {
@@ -39,7 +237,22 @@
       }
     }
     
-    return originalFetch.apply(this, args);
+    const responsePromise = originalFetch.apply(this, args);
+    
+    // Read locations from responses of known operations (on a copy, X still gets the original)
+    const requestUrl = url instanceof Request ? url.url : String(url);
+    learnQueryId(requestUrl);
+    if (HARVEST_OPERATIONS.has(getGraphqlOperation(requestUrl))) {
+      responsePromise.then(response => {
+        if (response.ok) {
+          response.clone().json()
+            .then(data => harvestLocations(requestUrl, data))
+            .catch(() => {});
+        }
+      }).catch(() => {});
+    }
+    
+    return responsePromise;
   };
   
   // Also intercept XMLHttpRequest
@@ -60,6 +273,22 @@
       }
       captureHeaders(headers);
     }
+    
+    const requestUrl = String(this._url || '');
+    learnQueryId(requestUrl);
+    if (HARVEST_OPERATIONS.has(getGraphqlOperation(requestUrl))) {
+      this.addEventListener('load', () => {
+        if (this.status !== 200) return;
+        try {
+          const data = this.responseType === 'json'
+            ? this.response
+            : (this.responseType === '' || this.responseType === 'text') ? JSON.parse(this.responseText) : null;
+          if (data) harvestLocations(requestUrl, data);
+        } catch (error) {
+          // Not JSON
+        }
+      });
+    }
     return originalXHRSend.apply(this, args);
   };
   
@@ -70,6 +299,90 @@
     return originalSetRequestHeader.apply(this, [header, value]);
   };
   
+  // Pull the "About this account" fields out of an AboutAccountQuery user result
+  function extractAboutAccount(result) {
+    const aboutProfile = result?.about_profile || {};
+    const usernameChanges = aboutProfile.username_changes || {};
+    const verifiedSince = result?.verification_info?.reason?.verified_since_msec;
+    
+    return {
+      connectedVia: aboutProfile.source || null,
+      locationAccurate: typeof aboutProfile.location_accurate === 'boolean' ? aboutProfile.location_accurate : null,
+      usernameChanges: usernameChanges.count !== undefined ? parseInt(usernameChanges.count) : null,
+      lastUsernameChange: usernameChanges.last_changed_at_msec ? parseInt(usernameChanges.last_changed_at_msec) : null,
+      createdAt: result?.core?.created_at || result?.legacy?.created_at || null,
+      isVerified: typeof result?.is_blue_verified === 'boolean' ? result.is_blue_verified : null,
+      verifiedSince: verifiedSince ? parseInt(verifiedSince) : null
+    };
+  }
+  
+  // Rate-limit budget from a response's x-rate-limit-* headers:
+  // { limit, remaining, resetTime (Unix seconds) }, or null if X didn't send them
+  function readRateLimitBudget(response) {
+    const limit = parseInt(response.headers.get('x-rate-limit-limit'));
+    const remaining = parseInt(response.headers.get('x-rate-limit-remaining'));
+    const resetTime = parseInt(response.headers.get('x-rate-limit-reset'));
+    if ([limit, remaining, resetTime].some(Number.isNaN)) return null;
+    return { limit, remaining, resetTime };
+  }
+  
+  // Tell the content script when a 429's rate limit resets
+  function reportRateLimit(response) {
+    const resetTime = response.headers.get('x-rate-limit-reset');
+    const remaining = response.headers.get('x-rate-limit-remaining');
+    const limit = response.headers.get('x-rate-limit-limit');
+    
+    if (resetTime) {
+      const resetDate = new Date(parseInt(resetTime) * 1000);
+      const now = Date.now();
+      const waitTime = resetDate.getTime() - now;
+      
+      console.log(`Rate limited! Limit: ${limit}, Remaining: ${remaining}`);
+      console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
+      console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
+      
+      // Store rate limit info for content script
+      sendToContent({
+        type: '__rateLimitInfo',
+        resetTime: parseInt(resetTime),
+        waitTime: Math.max(0, waitTime)
+      });
+    }
+  }
+  
+  // Headers for our own GraphQL requests: X's captured headers or minimal defaults
+  function getRequestHeaders() {
+    return twitterHeaders || {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+  }
+  
+  // Wait (up to 3 seconds) for X's headers to be captured
+  async function waitForHeaders() {
+    let waitCount = 0;
+    while (!headersReady && waitCount < 30) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      waitCount++;
+    }
+  }
+  
+  // Fetch one account's "About this account" data with the given query ID
+  function requestAboutAccount(screenName, queryId) {
+    const variables = JSON.stringify({ screenName });
+    const url = `https://x.com/i/api/graphql/${queryId}/${ABOUT_ACCOUNT_OPERATION}?variables=${encodeURIComponent(variables)}`;
+    
+    // Ensure credentials are included
+    // (bypasses our fetch wrapper: the result is handled by the caller, no need to harvest it)
+    return originalFetch(url, {
+      method: 'GET',
+      credentials: 'include',
+      headers: getRequestHeaders(),
+      referrer: window.location.href,
+      referrerPolicy: 'origin-when-cross-origin'
+    });
+  }
+  
   // Wait a bit for Twitter to make some API calls first
   setTimeout(() => {
     if (!headersReady) {
@@ -82,103 +395,245 @@
     }
   }, 3000);
   
-  // Listen for fetch requests from content script via postMessage
-  window.addEventListener('message', async function(event) {
-    // Only accept messages from our extension
-    if (event.data && event.data.type === '__fetchLocation') {
-      const { screenName, requestId } = event.data;
+  // Shape of lookup requests from the content script; anything else is rejected
+  function isValidFetchRequest(data) {
+    return data.type === '__fetchLocation' &&
+      typeof data.screenName === 'string' && /^[A-Za-z0-9_]{1,15}$/.test(data.screenName) &&
+      typeof data.requestId === 'string' && data.requestId.length <= 64 &&
+      (data.queryId === null || (typeof data.queryId === 'string' && /^[\w-]{1,64}$/.test(data.queryId)));
+  }
+  
+  // Listen for fetch requests from the content script
+  contentPort.onmessage = function(event) {
+    if (event.data && isValidFetchRequest(event.data)) {
+      lookUpAccount(event.data);
+    } else if (event.data && isValidBatchRequest(event.data)) {
+      lookUpAccounts(event.data);
+    } else {
+      console.warn('Rejected malformed request from content script:', event.data);
+    }
+  };
+  
+  // Look one account up and send the outcome back
+  async function lookUpAccount(request) {
+    const { screenName, requestId } = request;
+    
+    // Last ID known to work, unless we've learned a newer one from X since
+    if (request.queryId !== null && aboutAccountQuerySource === 'default') {
+      setAboutAccountQueryId(request.queryId, 'stored');
+    }
+    
+    // Wait for headers to be ready
+    await waitForHeaders();
+    
+    let queryId = aboutAccountQueryId;
+    // Forwarded with every response so the worker can pace itself
+    let budget = null;
+    try {
+      let response = await requestAboutAccount(screenName, queryId);
       
-      // Wait for headers to be ready
-      if (!headersReady) {
-        let waitCount = 0;
-        while (!headersReady && waitCount < 30) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          waitCount++;
+      // 400/404: most likely X replaced the query ID; look for the new one and retry once
+      if (response.status === 400 || response.status === 404) {
+        const discovered = await discoverQueryIdFromBundles(ABOUT_ACCOUNT_OPERATION);
+        if (aboutAccountQueryId !== queryId) {
+          console.log(`Retrying ${screenName} with ${discovered ? 'discovered' : 'updated'} query ID`);
+          queryId = aboutAccountQueryId;
+          response = await requestAboutAccount(screenName, queryId);
         }
       }
       
-      try {
-        const variables = JSON.stringify({ screenName });
-        const url = `https://x.com/i/api/graphql/XRqGa7EeokUU5kppkh13EA/AboutAccountQuery?variables=${encodeURIComponent(variables)}`;
+      budget = readRateLimitBudget(response);
+      
+      let location = null;
+      let about = null;
+      // Outcome of the lookup: 'found', 'no_location' (account has no "based in"),
+      // 'not_found' (no such account), 'rate_limited' or 'error'
+      let status = 'error';
+      // What went wrong, for the endpoint status in the popup
+      let error = null;
+      if (response.ok) {
+        const data = await response.json();
+        console.log(`API response for ${screenName}:`, data);
+        location = data?.data?.user_result_by_screen_name?.result?.about_profile?.account_based_in || null;
+        console.log(`Extracted location for ${screenName}:`, location);
         
-        // Use captured headers or minimal defaults
-        const headers = twitterHeaders || {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        };
+        if (data?.data?.user_result_by_screen_name?.result) {
+          about = extractAboutAccount(data.data.user_result_by_screen_name.result);
+          status = location ? 'found' : 'no_location';
+        } else if (data?.data && !data.errors) {
+          status = 'not_found';
+        } else {
+          error = `GraphQL error: ${data?.errors?.[0]?.message || 'unexpected response'}`;
+        }
         
-        // Ensure credentials are included
-        const response = await fetch(url, {
-          method: 'GET',
-          credentials: 'include',
-          headers: headers,
-          referrer: window.location.href,
-          referrerPolicy: 'origin-when-cross-origin'
-        });
+        // Debug: log the full path to see what's available
+        if (!location && data?.data?.user_result_by_screen_name?.result) {
+          console.log('User result available but no location:', {
+            hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
+            aboutProfile: data.data.user_result_by_screen_name.result.about_profile
+          });
+        }
+      } else {
+        const errorText = await response.text().catch(() => '');
         
-        let location = null;
-        if (response.ok) {
-          const data = await response.json();
-          console.log(`API response for ${screenName}:`, data);
-          location = data?.data?.user_result_by_screen_name?.result?.about_profile?.account_based_in || null;
-          console.log(`Extracted location for ${screenName}:`, location);
-          
-          // Debug: log the full path to see what's available
-          if (!location && data?.data?.user_result_by_screen_name?.result) {
-            console.log('User result available but no location:', {
-              hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
-              aboutProfile: data.data.user_result_by_screen_name.result.about_profile
-            });
-          }
+        // Handle rate limiting
+        if (response.status === 429) {
+          status = 'rate_limited';
+          reportRateLimit(response);
         } else {
-          const errorText = await response.text().catch(() => '');
-          
-          // Handle rate limiting
-          if (response.status === 429) {
-            const resetTime = response.headers.get('x-rate-limit-reset');
-            const remaining = response.headers.get('x-rate-limit-remaining');
-            const limit = response.headers.get('x-rate-limit-limit');
-            
-            if (resetTime) {
-              const resetDate = new Date(parseInt(resetTime) * 1000);
-              const now = Date.now();
-              const waitTime = resetDate.getTime() - now;
-              
-              console.log(`Rate limited! Limit: ${limit}, Remaining: ${remaining}`);
-              console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
-              console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
-              
-              // Store rate limit info for content script
-              window.postMessage({
-                type: '__rateLimitInfo',
-                resetTime: parseInt(resetTime),
-                waitTime: Math.max(0, waitTime)
-              }, '*');
-            }
-          } else {
-            console.log(`Twitter API error for ${screenName}:`, response.status, response.statusText, errorText.substring(0, 200));
-          }
+          console.log(`Twitter API error for ${screenName}:`, response.status, response.statusText, errorText.substring(0, 200));
+          error = `HTTP ${response.status} ${response.statusText}`.trim();
         }
-        
-        // Send response back to content script via postMessage
-        // Include error status so content script knows not to cache on rate limit
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location,
-          requestId,
-          isRateLimited: response.status === 429
-        }, '*');
-      } catch (error) {
-        console.error('Error fetching location:', error);
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location: null,
-          requestId
-        }, '*');
       }
+      
+      // Send response back to content script
+      // Include the outcome so only definite answers get cached
+      sendToContent({
+        type: '__locationResponse',
+        screenName,
+        location,
+        about,
+        requestId,
+        status,
+        queryId,
+        error: error ? error.slice(0, 200) : null,
+        budget
+      });
+    } catch (error) {
+      console.error('Error fetching location:', error);
+      sendToContent({
+        type: '__locationResponse',
+        screenName,
+        location: null,
+        about: null,
+        requestId,
+        status: 'error',
+        queryId,
+        error: String(error.message).slice(0, 200),
+        budget
+      });
     }
-  });
-})();
-
+  }
+  
+  // Batch lookups use UsersByRestIds, which takes rest IDs (learned from X's responses, see
+  // findAccountLocations). They're only offered once X's own UsersByRestIds responses turned
+  // out to carry "About this account" data, and are sent with the same query ID and feature
+  // flags as X's. Accounts without a known rest ID or without that data in the response are
+  // left out of the results; the worker looks them up one by one.
+  // Query ID of X's last UsersByRestIds request whose response had "About this account" data
+  let batchSupportedQueryId = null;
+  
+  // Check one of X's own UsersByRestIds responses for "About this account" data and tell the
+  // worker (through the content script) whether this tab can run batch lookups
+  function checkBatchSupport(url, data) {
+    const users = (Array.isArray(data?.data?.users) ? data.data.users : [])
+      .map(user => user?.result)
+      .filter(user => user && typeof user === 'object' && typeof user.rest_id === 'string');
+    if (users.length === 0) return;
+    
+    const supported = users.some(user => user.about_profile && typeof user.about_profile === 'object');
+    if (supported !== (batchSupportedQueryId !== null)) {
+      console.log(`${BATCH_OPERATION} responses ${supported ? 'have' : 'have no'} location data, batch lookups ${supported ? 'available' : 'unavailable'}`);
+    }
+    batchSupportedQueryId = supported ? GRAPHQL_URL_PATTERN.exec(url)[1] : null;
+    sendToContent({ type: '__batchSupport', supported });
+  }
+  
+  function stopBatching(reason) {
+    batchSupportedQueryId = null;
+    sendToContent({ type: '__batchSupport', supported: false });
+    console.log(`Batch lookups unavailable: ${reason}`);
+  }
+  
+  function isValidBatchRequest(data) {
+    return data.type === '__fetchLocations' &&
+      Array.isArray(data.screenNames) && data.screenNames.length > 0 && data.screenNames.length <= 50 &&
+      data.screenNames.every(name => typeof name === 'string' && /^[A-Za-z0-9_]{1,15}$/.test(name)) &&
+      typeof data.requestId === 'string' && data.requestId.length <= 64;
+  }
+  
+  // Look several accounts up with one request and send back
+  // { status: 'ok' | 'unsupported' | 'rate_limited' | 'error', results: { screenName: { status, location, about } },
+  //   requested } (requested: whether a request went out to X at all)
+  async function lookUpAccounts(request) {
+    const { screenNames, requestId } = request;
+    let budget = null;
+    let requested = false;
+    const reply = (status, results = {}, error = null) => sendToContent({
+      type: '__batchLocationResponse',
+      requestId,
+      status,
+      results,
+      error: error ? error.slice(0, 200) : null,
+      budget,
+      requested
+    });
+    
+    const queryId = batchSupportedQueryId;
+    const userIds = screenNames
+      .map(screenName => restIdsByScreenName.get(screenName.toLowerCase()))
+      .filter(Boolean);
+    if (!queryId || userIds.length === 0) {
+      // This tab can't batch (anymore), or none of them: nothing answered, nothing requested
+      reply('ok');
+      return;
+    }
+    
+    await waitForHeaders();
+    try {
+      const params = new URLSearchParams({ variables: JSON.stringify({ userIds }) });
+      const features = featuresByOperation.get(BATCH_OPERATION);
+      if (features) {
+        params.set('features', JSON.stringify(features));
+      }
+      requested = true;
+      const response = await originalFetch(`https://x.com/i/api/graphql/${queryId}/${BATCH_OPERATION}?${params}`, {
+        method: 'GET',
+        credentials: 'include',
+        headers: getRequestHeaders(),
+        referrer: window.location.href,
+        referrerPolicy: 'origin-when-cross-origin'
+      });
+      budget = readRateLimitBudget(response);
+      
+      if (response.status === 429) {
+        reportRateLimit(response);
+        reply('rate_limited');
+        return;
+      }
+      if (!response.ok) {
+        // 400/404: the operation or its parameters aren't accepted (anymore)
+        const error = `HTTP ${response.status} ${response.statusText}`.trim();
+        if (response.status === 400 || response.status === 404) {
+          stopBatching(error);
+          reply('unsupported', {}, error);
+        } else {
+          reply('error', {}, error);
+        }
+        return;
+      }
+      
+      const found = findAccountLocations(await response.json());
+      if (found.size === 0) {
+        stopBatching(`${BATCH_OPERATION} responses have no location data`);
+        reply('unsupported', {}, `${BATCH_OPERATION} responses have no location data`);
+        return;
+      }
+      
+      // Answer with the requested spelling of each screen name
+      const foundByName = new Map(Array.from(found.values(), user => [user.screenName.toLowerCase(), user]));
+      const results = {};
+      for (const screenName of screenNames) {
+        const user = foundByName.get(screenName.toLowerCase());
+        if (user) {
+          results[screenName] = { status: user.status, location: user.location, about: user.about };
+        }
+      }
+      console.log(`Batch lookup found ${Object.keys(results).length} of ${screenNames.length} accounts`);
+      reply('ok', results);
+    } catch (error) {
+      console.error('Error in batch lookup:', error);
+      reply('error', {}, String(error.message));
+    }
+  }
+}
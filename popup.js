@@ -5,59 +5,445 @@ const DEFAULT_ENABLED = true;
 const toggleSwitch = document.getElementById('toggleSwitch');
 const status = document.getElementById('status');
 const blacklistInput = document.getElementById('blacklist');
+const allowlistInput = document.getElementById('allowlist');
+const filterModeSelect = document.getElementById('filterMode');
+const unknownLocationSelect = document.getElementById('unknownLocation');
+const blacklistSummary = document.getElementById('blacklistSummary');
+const blacklistWarning = document.getElementById('blacklistWarning');
+const allowlistSummary = document.getElementById('allowlistSummary');
+const allowlistWarning = document.getElementById('allowlistWarning');
+const embeddedPolicySelect = document.getElementById('embeddedPolicy');
+const groupRepliesCheckbox = document.getElementById('groupReplies');
+const hideMismatchCheckbox = document.getElementById('hideMismatch');
+const hideInaccurateCheckbox = document.getElementById('hideInaccurate');
+const alwaysShowInput = document.getElementById('alwaysShow');
+const alwaysHideInput = document.getElementById('alwaysHide');
+const overridesWarning = document.getElementById('overridesWarning');
+const watchlistInput = document.getElementById('watchlist');
+const regionSelect = document.getElementById('regionSelect');
+const addRegionButton = document.getElementById('addRegionButton');
+const blacklistSection = document.getElementById('blacklistSection');
+const allowlistSection = document.getElementById('allowlistSection');
 const saveButton = document.getElementById('saveButton');
 const saveStatus = document.getElementById('saveStatus');
 const cacheStats = document.getElementById('cacheStats');
 const clearCacheButton = document.getElementById('clearCacheButton');
+const manageCacheButton = document.getElementById('manageCacheButton');
+const cacheMaxEntriesInput = document.getElementById('cacheMaxEntries');
+const cacheMaxSizeInput = document.getElementById('cacheMaxSize');
+const exportCacheJsonButton = document.getElementById('exportCacheJsonButton');
+const exportCacheCsvButton = document.getElementById('exportCacheCsvButton');
+const importCacheButton = document.getElementById('importCacheButton');
+const cacheTransferStatus = document.getElementById('cacheTransferStatus');
+const exportBlacklistButton = document.getElementById('exportBlacklistButton');
+const importBlacklistButton = document.getElementById('importBlacklistButton');
+const blacklistTransferStatus = document.getElementById('blacklistTransferStatus');
+const syncSettingsCheckbox = document.getElementById('syncSettings');
+const syncError = document.getElementById('syncError');
+const backupSettingsButton = document.getElementById('backupSettingsButton');
+const restoreSettingsButton = document.getElementById('restoreSettingsButton');
+const settingsTransferStatus = document.getElementById('settingsTransferStatus');
+const endpointStatus = document.getElementById('endpointStatus');
+const budgetStatus = document.getElementById('budgetStatus');
 
 const BLACKLIST_KEY = 'blocked_countries';
-const CACHE_KEY = 'twitter_location_cache';
+const ALLOWLIST_KEY = 'allowed_countries';
+const FILTER_MODE_KEY = 'filter_mode';
+const DEFAULT_FILTER_MODE = 'blacklist';
+const UNKNOWN_LOCATION_KEY = 'unknown_location_action';
+const DEFAULT_UNKNOWN_LOCATION_ACTION = 'show';
+const SURFACES_KEY = 'enabled_surfaces';
+const OVERRIDES_KEY = 'account_overrides';
+const WATCHLIST_KEY = 'watched_accounts';
+const EMBEDDED_POLICY_KEY = 'embedded_author_policy';
+const DEFAULT_EMBEDDED_POLICY = 'any';
+const GROUP_REPLIES_KEY = 'group_hidden_replies';
+const DEFAULT_GROUP_REPLIES = true;
+const MISMATCH_RULE_KEY = 'hide_location_mismatch';
+const INACCURATE_RULE_KEY = 'hide_inaccurate_location';
+const CACHE_MAX_ENTRIES_KEY = 'cache_max_entries';
+const DEFAULT_CACHE_MAX_ENTRIES = 50000;
+const CACHE_MAX_SIZE_KEY = 'cache_max_size_mb';
+const DEFAULT_CACHE_MAX_SIZE_MB = 20;
+// Set by the background worker while location lookups keep failing
+const ENDPOINT_STATUS_KEY = 'lookup_endpoint_status';
+// Rate-limit budgets reported by X, kept by the background worker in session storage
+const RATE_LIMIT_BUDGET_KEY = 'rate_limit_budget';
+
+// Pages the extension can run on (keys match content.js)
+const SURFACES = [
+  { key: 'home', label: 'Home timeline' },
+  { key: 'search', label: 'Search & Explore' },
+  { key: 'tweet', label: 'Tweet replies' },
+  { key: 'quotes', label: 'Quote tweets page' },
+  { key: 'quotedAuthors', label: 'Quoted tweets (any page)' },
+  { key: 'lists', label: 'Lists' },
+  { key: 'profile', label: 'Profiles' },
+  { key: 'follows', label: 'Followers/Following' },
+  { key: 'notifications', label: 'Notifications' }
+];
+const surfaceList = document.getElementById('surfaceList');
 
 // Load current state
-chrome.storage.local.get([TOGGLE_KEY, BLACKLIST_KEY, CACHE_KEY], (result) => {
+chrome.storage.local.get([TOGGLE_KEY, BLACKLIST_KEY, ALLOWLIST_KEY, FILTER_MODE_KEY, UNKNOWN_LOCATION_KEY, SURFACES_KEY, OVERRIDES_KEY, EMBEDDED_POLICY_KEY, GROUP_REPLIES_KEY, MISMATCH_RULE_KEY, INACCURATE_RULE_KEY, WATCHLIST_KEY, CACHE_MAX_ENTRIES_KEY, CACHE_MAX_SIZE_KEY, SYNC_ENABLED_KEY, SYNC_ERROR_KEY, ENDPOINT_STATUS_KEY], (result) => {
   const isEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
   updateToggle(isEnabled);
 
+  renderSurfaces(result[SURFACES_KEY] || {});
+
   const blockedCountries = result[BLACKLIST_KEY] || [];
   blacklistInput.value = blockedCountries.join('\n');
 
-  // Cache stats
-  const cache = result[CACHE_KEY] || {};
-  const cacheSize = Object.keys(cache).length;
-  
-  // Calculate size in KB/MB
-  const jsonString = JSON.stringify(cache);
-  const bytes = new Blob([jsonString]).size;
-  const sizeStr = bytes > 1024 * 1024
-    ? `${(bytes / (1024 * 1024)).toFixed(2)} MB`
-    : `${(bytes / 1024).toFixed(2)} KB`;
-    
-  cacheStats.textContent = `${cacheSize} users cached (${sizeStr})`;
+  const allowedCountries = result[ALLOWLIST_KEY] || [];
+  allowlistInput.value = allowedCountries.join('\n');
+
+  const overrides = result[OVERRIDES_KEY] || {};
+  alwaysShowInput.value = Object.keys(overrides).filter(handle => overrides[handle] === 'show').map(handle => `@${handle}`).join('\n');
+  alwaysHideInput.value = Object.keys(overrides).filter(handle => overrides[handle] === 'hide').map(handle => `@${handle}`).join('\n');
+  watchlistInput.value = (result[WATCHLIST_KEY] || []).map(handle => `@${handle}`).join('\n');
+
+  filterModeSelect.value = result[FILTER_MODE_KEY] || DEFAULT_FILTER_MODE;
+  unknownLocationSelect.value = result[UNKNOWN_LOCATION_KEY] || DEFAULT_UNKNOWN_LOCATION_ACTION;
+  embeddedPolicySelect.value = result[EMBEDDED_POLICY_KEY] || DEFAULT_EMBEDDED_POLICY;
+  groupRepliesCheckbox.checked = result[GROUP_REPLIES_KEY] !== undefined ? result[GROUP_REPLIES_KEY] : DEFAULT_GROUP_REPLIES;
+  hideMismatchCheckbox.checked = result[MISMATCH_RULE_KEY] || false;
+  hideInaccurateCheckbox.checked = result[INACCURATE_RULE_KEY] || false;
+  cacheMaxEntriesInput.value = result[CACHE_MAX_ENTRIES_KEY] ?? DEFAULT_CACHE_MAX_ENTRIES;
+  cacheMaxSizeInput.value = result[CACHE_MAX_SIZE_KEY] ?? DEFAULT_CACHE_MAX_SIZE_MB;
+  syncSettingsCheckbox.checked = result[SYNC_ENABLED_KEY] === true;
+  syncError.textContent = result[SYNC_ERROR_KEY] ? `Sync problem: ${result[SYNC_ERROR_KEY]}` : '';
+  updateEndpointStatus(result[ENDPOINT_STATUS_KEY]);
+  updateFilterModeSections();
+  updateListInfo(blacklistInput, blacklistSummary, blacklistWarning);
+  updateListInfo(allowlistInput, allowlistSummary, allowlistWarning);
+});
+
+// Warn when the lookup endpoint is broken (e.g. X changed its API and the new query ID
+// hasn't been found yet); lookups keep being retried and the warning clears on the next success
+function updateEndpointStatus(status) {
+  if (!status) {
+    endpointStatus.textContent = '';
+    return;
+  }
+  const since = new Date(status.since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  endpointStatus.textContent = `⚠ Lookup endpoint broken: location lookups have been failing since ${since} (${status.error}). ` +
+    'X may have changed its API; new accounts won\'t be flagged until it works again.';
+}
+
+// Rate-limit budget indicator, e.g. "Lookups: 142/150 left, resets 14:05"
+let rateLimitBudgets = {};
+const BUDGET_LABELS = { lookup: 'Lookups', batch: 'Batch lookups' };
+
+function renderRateLimitBudget() {
+  const now = Date.now();
+  budgetStatus.textContent = Object.entries(rateLimitBudgets)
+    // Budgets whose window has reset are full again
+    .filter(([kind, budget]) => BUDGET_LABELS[kind] && budget.resetTime * 1000 > now)
+    .map(([kind, budget]) => {
+      const reset = new Date(budget.resetTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `${BUDGET_LABELS[kind]}: ${budget.remaining}/${budget.limit} left, resets ${reset}`;
+    })
+    .join(' · ');
+}
+
+chrome.storage.session.get(RATE_LIMIT_BUDGET_KEY).then((result) => {
+  rateLimitBudgets = result[RATE_LIMIT_BUDGET_KEY] || {};
+  renderRateLimitBudget();
+});
+
+// Keep it live while the popup is open
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'session' && changes[RATE_LIMIT_BUDGET_KEY]) {
+    rateLimitBudgets = changes[RATE_LIMIT_BUDGET_KEY].newValue || {};
+    renderRateLimitBudget();
+  }
 });
+setInterval(renderRateLimitBudget, 10000);
+
+// Cache stats (the cache lives in the background worker)
+function updateCacheStats() {
+  chrome.runtime.sendMessage({ type: 'getCacheStats' }, (stats) => {
+    if (chrome.runtime.lastError || !stats) return;
+
+    // Calculate size in KB/MB
+    const sizeStr = stats.bytes > 1024 * 1024
+      ? `${(stats.bytes / (1024 * 1024)).toFixed(2)} MB`
+      : `${(stats.bytes / 1024).toFixed(2)} KB`;
+
+    cacheStats.textContent = stats.withoutLocation
+      ? `${stats.count} users cached, ${stats.withoutLocation} without location (${sizeStr})`
+      : `${stats.count} users cached (${sizeStr})`;
+  });
+}
+
+updateCacheStats();
+
+// Cache browser (options.html)
+manageCacheButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
 // Clear cache handler
 clearCacheButton.addEventListener('click', () => {
   if (confirm('Are you sure you want to clear the location cache?')) {
-    chrome.storage.local.remove(CACHE_KEY, () => {
-      cacheStats.textContent = '0 users cached (0.00 KB)';
-      // Notify content script to clear its in-memory cache too
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, { type: 'clearCache' });
-        }
-      });
+    // The worker clears storage and every open tab's copy
+    chrome.runtime.sendMessage({ type: 'clearCache' }, () => {
+      updateCacheStats();
     });
   }
 });
 
-// Save blacklist handler
-saveButton.addEventListener('click', () => {
-  const countries = blacklistInput.value
+// Show the outcome of an export/import next to its buttons
+function showTransferStatus(element, message, isError = false) {
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+}
+
+// Date stamp for export file names
+function exportDateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Export the cache through the worker, as JSON or CSV
+function exportCache(asCsv) {
+  chrome.runtime.sendMessage({ type: 'exportCache' }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      showTransferStatus(cacheTransferStatus, 'Export failed: extension worker unavailable', true);
+      return;
+    }
+    const fileName = `twitter-location-cache-${exportDateStamp()}`;
+    if (asCsv) {
+      downloadTextFile(`${fileName}.csv`, buildCacheCsv(response.entries), 'text/csv');
+    } else {
+      downloadTextFile(`${fileName}.json`, buildCacheJson(response.entries), 'application/json');
+    }
+    showTransferStatus(cacheTransferStatus, `Exported ${response.entries.length} accounts`);
+  });
+}
+
+exportCacheJsonButton.addEventListener('click', () => exportCache(false));
+exportCacheCsvButton.addEventListener('click', () => exportCache(true));
+// File choosers close the popup on some platforms, so imports happen on the cache page
+importCacheButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+exportBlacklistButton.addEventListener('click', () => {
+  const countries = parseCountryList(blacklistInput.value);
+  downloadTextFile(`twitter-location-blacklist-${exportDateStamp()}.json`, buildBlacklistJson(countries), 'application/json');
+  showTransferStatus(blacklistTransferStatus, `Exported ${countries.length} entries`);
+});
+
+importBlacklistButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// Sync is a per-machine choice; the background worker does the syncing (see settings.js)
+syncSettingsCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ [SYNC_ENABLED_KEY]: syncSettingsCheckbox.checked });
+  if (syncSettingsCheckbox.checked) {
+    showTransferStatus(settingsTransferStatus, 'Settings already synced from another browser will be applied');
+  }
+});
+
+// Show sync and lookup problems reported by the worker while the popup is open
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+  if (changes[SYNC_ERROR_KEY]) {
+    const message = changes[SYNC_ERROR_KEY].newValue;
+    syncError.textContent = message ? `Sync problem: ${message}` : '';
+  }
+  if (changes[ENDPOINT_STATUS_KEY]) {
+    updateEndpointStatus(changes[ENDPOINT_STATUS_KEY].newValue);
+  }
+});
+
+backupSettingsButton.addEventListener('click', () => {
+  chrome.storage.local.get(SETTINGS_KEYS, (result) => {
+    const backup = JSON.stringify({
+      format: SETTINGS_BACKUP_FORMAT,
+      version: SETTINGS_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: pickSettings(result)
+    }, null, 2);
+    downloadTextFile(`twitter-location-settings-${exportDateStamp()}.json`, backup, 'application/json');
+    showTransferStatus(settingsTransferStatus, 'Settings backed up');
+  });
+});
+
+// Restoring needs a file chooser too (see the imports above)
+restoreSettingsButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// Cache limits are saved immediately; the worker evicts down to the new limits right away
+function saveCacheLimit(input, key) {
+  const value = Math.max(0, Math.floor(Number(input.value) || 0));
+  input.value = value;
+  chrome.storage.local.set({ [key]: value }, () => {
+    setTimeout(updateCacheStats, 500);
+  });
+}
+
+cacheMaxEntriesInput.addEventListener('change', () => saveCacheLimit(cacheMaxEntriesInput, CACHE_MAX_ENTRIES_KEY));
+cacheMaxSizeInput.addEventListener('change', () => saveCacheLimit(cacheMaxSizeInput, CACHE_MAX_SIZE_KEY));
+
+// Render one checkbox per surface; missing keys default to on
+function renderSurfaces(enabledSurfaces) {
+  surfaceList.innerHTML = '';
+  for (const surface of SURFACES) {
+    const label = document.createElement('label');
+    label.className = 'surface-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = enabledSurfaces[surface.key] !== false;
+    checkbox.addEventListener('change', () => saveSurface(surface.key, checkbox.checked));
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(surface.label));
+    surfaceList.appendChild(label);
+  }
+}
+
+// Surface changes are saved immediately; content scripts pick them up via storage.onChanged
+function saveSurface(key, enabled) {
+  chrome.storage.local.get([SURFACES_KEY], (result) => {
+    const enabledSurfaces = result[SURFACES_KEY] || {};
+    enabledSurfaces[key] = enabled;
+    chrome.storage.local.set({ [SURFACES_KEY]: enabledSurfaces });
+  });
+}
+
+// Show only the list that applies to the selected filter mode
+filterModeSelect.addEventListener('change', updateFilterModeSections);
+
+function updateFilterModeSections() {
+  const isAllowlistMode = filterModeSelect.value === 'allowlist';
+  blacklistSection.style.display = isAllowlistMode ? 'none' : 'block';
+  allowlistSection.style.display = isAllowlistMode ? 'block' : 'none';
+}
+
+// Split a textarea into a list of non-empty, trimmed lines
+function parseCountryList(text) {
+  return text
     .split('\n')
     .map(line => line.trim())
     .filter(line => line.length > 0);
+}
+
+// Show how many countries a list covers (region groups expand to their members)
+// and warn about entries that don't resolve to a known country or region
+function updateListInfo(input, summary, warning) {
+  const entries = parseCountryList(input.value);
+  const coveredCount = expandEntries(entries).size;
+  summary.textContent = coveredCount > 0
+    ? `Covers ${coveredCount} ${coveredCount === 1 ? 'country' : 'countries and territories'}`
+    : '';
+
+  const unrecognized = findUnrecognizedEntries(entries);
+  warning.textContent = unrecognized.length > 0
+    ? `Not recognized: ${unrecognized.join(', ')}`
+    : '';
+}
+
+blacklistInput.addEventListener('input', () => updateListInfo(blacklistInput, blacklistSummary, blacklistWarning));
+allowlistInput.addEventListener('input', () => updateListInfo(allowlistInput, allowlistSummary, allowlistWarning));
+
+// Parse a handle list into lowercase handles without "@"; invalid lines are returned separately
+function parseHandleList(text) {
+  const handles = [];
+  const invalid = [];
+  for (const line of parseCountryList(text)) {
+    const handle = line.replace(/^@/, '');
+    if (/^[A-Za-z0-9_]{1,15}$/.test(handle)) {
+      handles.push(handle.toLowerCase());
+    } else {
+      invalid.push(line);
+    }
+  }
+  return { handles, invalid };
+}
+
+function updateOverridesWarning() {
+  const invalid = [
+    ...parseHandleList(alwaysShowInput.value).invalid,
+    ...parseHandleList(alwaysHideInput.value).invalid,
+    ...parseHandleList(watchlistInput.value).invalid
+  ];
+  overridesWarning.textContent = invalid.length > 0
+    ? `Not a valid handle: ${invalid.join(', ')}`
+    : '';
+}
+
+alwaysShowInput.addEventListener('input', updateOverridesWarning);
+alwaysHideInput.addEventListener('input', updateOverridesWarning);
+watchlistInput.addEventListener('input', updateOverridesWarning);
+
+// Fill the region picker with named groups, continents and subregions
+function populateRegionSelect() {
+  const continents = new Set();
+  const subregions = new Set();
+  for (const country of COUNTRY_DATA) {
+    if (country.region) continents.add(country.region);
+    if (country.subregion) subregions.add(country.subregion);
+  }
+
+  const sections = [
+    ['Groups', Object.keys(REGION_GROUPS)],
+    ['Continents', Array.from(continents).sort()],
+    ['Subregions', Array.from(subregions).sort()]
+  ];
+
+  for (const [label, regions] of sections) {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = label;
+    for (const region of regions) {
+      const option = document.createElement('option');
+      option.value = region;
+      option.textContent = `${region} (${getRegionMembers(region).length})`;
+      optgroup.appendChild(option);
+    }
+    regionSelect.appendChild(optgroup);
+  }
+}
+
+populateRegionSelect();
+
+// Append the selected region to whichever list is active
+addRegionButton.addEventListener('click', () => {
+  const region = regionSelect.value;
+  if (!region) return;
+
+  const isAllowlistMode = filterModeSelect.value === 'allowlist';
+  const input = isAllowlistMode ? allowlistInput : blacklistInput;
+  const entries = parseCountryList(input.value);
+  if (!entries.includes(region)) {
+    entries.push(region);
+    input.value = entries.join('\n');
+  }
+
+  if (isAllowlistMode) {
+    updateListInfo(allowlistInput, allowlistSummary, allowlistWarning);
+  } else {
+    updateListInfo(blacklistInput, blacklistSummary, blacklistWarning);
+  }
+  regionSelect.value = '';
+});
+
+// Save blacklist / allowlist handler
+saveButton.addEventListener('click', () => {
+  // "Always hide" wins if a handle is listed in both
+  const overrides = {};
+  parseHandleList(alwaysShowInput.value).handles.forEach(handle => overrides[handle] = 'show');
+  parseHandleList(alwaysHideInput.value).handles.forEach(handle => overrides[handle] = 'hide');
+
+  const settings = {
+    [BLACKLIST_KEY]: parseCountryList(blacklistInput.value),
+    [OVERRIDES_KEY]: overrides,
+    [WATCHLIST_KEY]: Array.from(new Set(parseHandleList(watchlistInput.value).handles)),
+    [ALLOWLIST_KEY]: parseCountryList(allowlistInput.value),
+    [FILTER_MODE_KEY]: filterModeSelect.value,
+    [UNKNOWN_LOCATION_KEY]: unknownLocationSelect.value,
+    [EMBEDDED_POLICY_KEY]: embeddedPolicySelect.value,
+    [GROUP_REPLIES_KEY]: groupRepliesCheckbox.checked,
+    [MISMATCH_RULE_KEY]: hideMismatchCheckbox.checked,
+    [INACCURATE_RULE_KEY]: hideInaccurateCheckbox.checked
+  };
   
-  chrome.storage.local.set({ [BLACKLIST_KEY]: countries }, () => {
+  chrome.storage.local.set(settings, () => {
     // Show saved status
     saveStatus.classList.add('visible');
     setTimeout(() => {
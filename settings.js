@@ -0,0 +1,95 @@
+// Settings schema shared by the popup and the background worker
+// Settings are always read from chrome.storage.local. When sync is on, the background
+// worker mirrors them to chrome.storage.sync so they follow the user to other machines.
+// The location cache is never synced (too large for sync quotas).
+
+// Bump when the shape of a setting changes, and add a step to SETTINGS_MIGRATIONS
+const SETTINGS_SCHEMA_VERSION = 2;
+const SETTINGS_VERSION_KEY = 'settings_version';
+
+// Per-machine choice, kept in chrome.storage.local only
+const SYNC_ENABLED_KEY = 'sync_settings';
+// Last sync problem (e.g. quota exceeded), shown in the popup
+const SYNC_ERROR_KEY = 'sync_settings_error';
+
+// Every user setting (storage keys as used by content.js, popup.js and background.js)
+const SETTINGS_KEYS = [
+  'extension_enabled',
+  'blocked_countries',
+  'filter_mode',
+  'allowed_countries',
+  'unknown_location_action',
+  'enabled_surfaces',
+  'account_overrides',
+  'watched_accounts',
+  'embedded_author_policy',
+  'group_hidden_replies',
+  'hide_location_mismatch',
+  'hide_inaccurate_location',
+  'cache_max_entries',
+  'cache_max_size_mb'
+];
+
+const SETTINGS_BACKUP_FORMAT = 'twitter-location-settings';
+
+// Migration steps: SETTINGS_MIGRATIONS[n] upgrades settings from version n to n + 1
+const SETTINGS_MIGRATIONS = {
+  // Version 0: settings saved before they were versioned
+  0(settings) {
+    const migrated = { ...settings };
+    // Country lists: trimmed strings without blanks
+    for (const key of ['blocked_countries', 'allowed_countries']) {
+      if (Array.isArray(migrated[key])) {
+        migrated[key] = migrated[key]
+          .filter(entry => typeof entry === 'string')
+          .map(entry => entry.trim())
+          .filter(entry => entry.length > 0);
+      }
+    }
+    // Overrides are looked up by lowercase handle without "@"
+    if (migrated.account_overrides && typeof migrated.account_overrides === 'object') {
+      const overrides = {};
+      for (const [handle, override] of Object.entries(migrated.account_overrides)) {
+        if (override === 'show' || override === 'hide') {
+          overrides[handle.replace(/^@/, '').toLowerCase()] = override;
+        }
+      }
+      migrated.account_overrides = overrides;
+    }
+    return migrated;
+  },
+  // Version 1: the "quotes" surface also switched off quoted tweets embedded on other pages;
+  // that's now its own "quotedAuthors" surface, off wherever "quotes" was
+  1(settings) {
+    const migrated = { ...settings };
+    const surfaces = migrated.enabled_surfaces;
+    if (surfaces && typeof surfaces === 'object' && surfaces.quotes === false && surfaces.quotedAuthors === undefined) {
+      migrated.enabled_surfaces = { ...surfaces, quotedAuthors: false };
+    }
+    return migrated;
+  }
+};
+
+// Keep only known setting keys
+function pickSettings(source) {
+  const settings = {};
+  for (const key of SETTINGS_KEYS) {
+    if (source[key] !== undefined) {
+      settings[key] = source[key];
+    }
+  }
+  return settings;
+}
+
+// Upgrade settings saved with an older schema version to the current one.
+// Throws if they come from a newer version of the extension.
+function migrateSettings(settings, fromVersion = 0) {
+  if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+    throw new Error(`Settings are from a newer version of the extension (schema ${fromVersion})`);
+  }
+  let migrated = pickSettings(settings);
+  for (let version = fromVersion; version < SETTINGS_SCHEMA_VERSION; version++) {
+    migrated = SETTINGS_MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}